@@ -1,146 +1,327 @@
 // index.js (CommonJS)
 require('dotenv').config();
 
+const path = require('path');
 const express = require('express');
-const { chromium } = require('playwright');
-const { createClient } = require('@supabase/supabase-js');
+const { createBrowserPool } = require('./lib/browserPool');
+const { createJobQueue, parseConcurrency } = require('./lib/jobQueue');
+const { createPendingReplies } = require('./lib/pendingReplies');
+const { createSessionMonitor, classifySession } = require('./lib/sessionHealth');
+const { createSessionStore } = require('./lib/sessionStore');
+const { createCookieCipherFromEnv, withCookieEncryption } = require('./lib/cookieCrypto');
+const { createAuth, parseApiKeys } = require('./lib/auth');
+const { fromPlaywrightCookie, mergeCookies } = require('./lib/cookies');
+const { parseCookieImport } = require('./lib/cookieImport');
+const {
+  normalizeProfile, profileContextOptions, defaultUserAgent, profileWarnings, summarizeProfile,
+} = require('./lib/fingerprint');
+const { createLoginSessions, viewerPage } = require('./lib/remoteLogin');
+const { createArtifactStore, createRunArtifacts, artifactPolicy } = require('./lib/artifacts');
+const {
+  runError, errorResult, loginStateError, badRequest, httpStatus,
+} = require('./lib/runErrors');
+const { createRunScope, runInScope } = require('./lib/runScope');
+const { createModeRegistry } = require('./lib/modeRegistry');
+const { loadPlugins, parsePluginList } = require('./lib/plugins');
+const { createSelectorConfig } = require('./lib/selectorConfig');
+const { createSelectorHealth } = require('./lib/selectorHealth');
+const {
+  DEFAULT_PROXY_CHECK_URL, normalizeProxy, redactProxy, probeProxy,
+} = require('./lib/proxy');
+const {
+  contextStorageOptions, applySessionStorage, captureStorageState, summarizeStorageState,
+} = require('./lib/storageState');
 
 // ---------- ENV ----------
 const PORT = Number(process.env.PORT || 3000);
 const HEADLESS = String(process.env.HEADLESS || 'true').toLowerCase() === 'true';
 const SMOKE_URL = process.env.SMOKE_URL || 'https://example.com/';
 
-const SUPABASE_URL = process.env.SUPABASE_URL || '';
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || '';
-
-const TTK_PLATFORM = (process.env.TTK_PLATFORM || 'tiktok').toLowerCase();
-const TTK_ACCOUNT = process.env.TTK_ACCOUNT || ''; // ex: rab.le.dr.numerique
-
-const hasSupabase = SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY;
-const supabase = hasSupabase
-  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } })
-  : null;
-
-// ---------- EXPRESS ----------
-const app = express();
-app.use(express.json({ limit: '5mb' }));
+const POOL_MAX_CONCURRENCY = Number(process.env.POOL_MAX_CONCURRENCY || 2);
+const POOL_IDLE_MS = Number(process.env.POOL_IDLE_MS || 5 * 60 * 1000);
+const POOL_WAIT_TIMEOUT_MS = Number(process.env.POOL_WAIT_TIMEOUT_MS ?? 60 * 1000); // attente d'un slot, 0 = illimitée
+
+const JOBS_FILE = process.env.JOBS_FILE ?? 'data/jobs.json'; // vide = pas de persistance
+const JOB_CONCURRENCY = parseConcurrency(process.env.JOB_CONCURRENCY || 'tiktok.reply=1');
+const JOB_DEFAULT_CONCURRENCY = Number(process.env.JOB_DEFAULT_CONCURRENCY || 2);
+const JOB_HISTORY_MAX = Number(process.env.JOB_HISTORY_MAX || 200);
+
+const SESSION_CHECK_INTERVAL_MS = Number(process.env.SESSION_CHECK_INTERVAL_MS ?? 6 * 3600e3); // 0 = désactivé
+const SESSION_EXPIRY_WARN_MS = Number(process.env.SESSION_EXPIRY_WARN_DAYS || 7) * 86400e3;
+
+const PENDING_REPLIES_FILE = process.env.PENDING_REPLIES_FILE ?? 'data/pending-replies.json'; // vide = mémoire seule
+
+const PROXY_CHECK_URL = process.env.PROXY_CHECK_URL || DEFAULT_PROXY_CHECK_URL; // renvoie l'IP de sortie
+const PROXY_PROBE_TIMEOUT_MS = Number(process.env.PROXY_PROBE_TIMEOUT_MS || 5000);
+
+const LOGIN_SESSION_TTL_MS = Number(process.env.LOGIN_SESSION_TTL_MS || 10 * 60 * 1000);
+const LOGIN_SESSIONS_MAX = Number(process.env.LOGIN_SESSIONS_MAX || 2); // hors POOL_MAX_CONCURRENCY
+
+// Artefacts de débogage (screenshot, HTML, trace) : off | failure | always ; body.debug / body.artifacts par run
+const ARTIFACTS_MODE = (process.env.ARTIFACTS_MODE || 'off').toLowerCase();
+const ARTIFACTS_DIR = process.env.ARTIFACTS_DIR || 'screenshots';
+const ARTIFACTS_BUCKET = process.env.ARTIFACTS_BUCKET || null; // bucket Supabase Storage à la place du dossier
+const ARTIFACTS_RETENTION_MS = Number(process.env.ARTIFACTS_RETENTION_HOURS || 72) * 3600e3;
+const ARTIFACTS_MAX = Number(process.env.ARTIFACTS_MAX || 500);
+// trace : requêtes réseau complètes, en-têtes Cookie compris → désactivée par défaut
+const ARTIFACTS_TRACE = String(process.env.ARTIFACTS_TRACE || 'false').toLowerCase() === 'true';
+
+// Durée max d'un run par mode (ms), même format que JOB_CONCURRENCY : "tiktok.fetchThread=300000"
+// Sinon : durée déclarée par le mode (dérivée de son budget / nombre d'items), sinon le défaut.
+const RUN_TIMEOUTS = parseConcurrency(process.env.RUN_TIMEOUTS || '');
+const RUN_DEFAULT_TIMEOUT_MS = Number(process.env.RUN_DEFAULT_TIMEOUT_MS || 3 * 60 * 1000);
+
+// Plugins de plateforme : sous-dossiers de PLUGINS_DIR, ou liste PLUGINS ("tiktok,./extra/instagram")
+const PLUGINS_DIR = path.resolve(process.env.PLUGINS_DIR || path.join(__dirname, 'plugins'));
+const PLUGINS = parsePluginList(process.env.PLUGINS || '');
+
+// Sélecteurs : config versionnée modifiable à chaud (PUT /selectors/:platform), santé par alternative
+const SELECTORS_FILE = process.env.SELECTORS_FILE ?? 'data/selectors.json'; // vide = mémoire seule
+const SELECTOR_HEALTH_FILE = process.env.SELECTOR_HEALTH_FILE ?? 'data/selector-health.json';
+const SELECTOR_DEGRADED_AFTER = Number(process.env.SELECTOR_DEGRADED_AFTER || 3); // runs consécutifs sans match
+const SELECTOR_ALERT_WEBHOOK = process.env.SELECTOR_ALERT_WEBHOOK || null; // POST JSON : degraded / recovered
+
+// ---------- SESSION STORE ----------
+// SESSION_STORE=supabase|file|memory (défaut : supabase si configuré, sinon memory)
+// Valeurs de cookies chiffrées au repos si COOKIE_ENC_KEYS est défini
+const cookieCipher = createCookieCipherFromEnv(process.env);
+const store = withCookieEncryption(createSessionStore(process.env), cookieCipher);
+if (store.kind === 'memory') {
+  console.warn('SESSION_STORE=memory : les sessions seront perdues au redémarrage');
+}
+if (!cookieCipher.enabled) {
+  console.warn('COOKIE_ENC_KEYS absent : les cookies sont stockés en clair');
+}
 
-app.get('/health', (_req, res) => res.status(200).send('ok'));
+// ---------- AUTH ----------
+// Clés via API_KEYS (JSON) et/ou le session store. AUTH_DISABLED=true pour le dev local.
+const auth = createAuth({
+  envKeys: parseApiKeys(process.env.API_KEYS || ''),
+  store,
+  disabled: String(process.env.AUTH_DISABLED || 'false').toLowerCase() === 'true',
+});
+if (auth.disabled) console.warn('AUTH_DISABLED=true : aucune authentification sur les endpoints');
+else {
+  if (!auth.keyCount()) console.warn('Aucune clé API dans API_KEYS : seules les clés du store seront acceptées');
+  // premier chargement des clés du store dès le démarrage (avertit s'il n'y en a aucune)
+  auth.refresh().catch(() => {});
+}
 
-// ---------- UTILS COOKIES ----------
-const TTK_BASE_URL = 'https://www.tiktok.com/'; // slash final
+// ---------- BROWSER POOL ----------
+const pool = createBrowserPool({
+  headless: HEADLESS,
+  maxConcurrency: POOL_MAX_CONCURRENCY,
+  idleMs: POOL_IDLE_MS,
+  waitTimeoutMs: POOL_WAIT_TIMEOUT_MS,
+});
 
-const mapSameSite = (v) => {
-  if (v === undefined || v === null) return undefined;
-  const s = String(v).toLowerCase();
-  if (s === 'lax') return 'Lax';
-  if (s === 'strict') return 'Strict';
-  if (s === 'no_restriction' || s === 'none') return 'None';
-  return undefined;
-};
+// ---------- ARTIFACTS ----------
+const artifactStore = createArtifactStore({
+  dir: ARTIFACTS_DIR,
+  bucket: ARTIFACTS_BUCKET,
+  supabaseUrl: process.env.SUPABASE_URL,
+  serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+  retentionMs: ARTIFACTS_RETENTION_MS,
+  maxCount: ARTIFACTS_MAX,
+});
 
-// Convertit un export Cookie-Editor → cookies Playwright (basés sur url)
-const toPlaywrightCookiesStrict = (raw = []) => {
-  return raw
-    .filter((c) => c && typeof c.name === 'string' && c.name.length > 0 && c.value !== undefined)
-    .map((c) => {
-      const out = {
-        name: String(c.name),
-        value: String(c.value ?? ''),
-        url: TTK_BASE_URL,              // pas de domain/path ⇒ évite l'erreur addCookies
-        httpOnly: !!c.httpOnly,
-        secure: !!c.secure,
-      };
+// Brouillons de réponses (dryRun) en attente de validation
+const pendingReplies = createPendingReplies({ file: PENDING_REPLIES_FILE || null });
+
+// ---------- SELECTORS ----------
+const selectorConfig = createSelectorConfig({ file: SELECTORS_FILE || null });
+
+// Sélecteur attendu sans match (ou rétabli) : log + webhook optionnel
+function selectorAlert(event, { platform, key, version, zeroStreak }) {
+  console.warn(`[selectors] ${platform}.${key} ${event} (version ${version}${zeroStreak ? `, ${zeroStreak} runs sans match` : ''})`);
+  if (!SELECTOR_ALERT_WEBHOOK) return null;
+  return fetch(SELECTOR_ALERT_WEBHOOK, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      event, platform, key, version, zeroStreak, at: new Date().toISOString(),
+    }),
+    signal: AbortSignal.timeout(10000),
+  }).then((r) => {
+    if (!r.ok) throw new Error(`webhook HTTP ${r.status}`);
+  });
+}
 
-      const ss = mapSameSite(c.sameSite);
-      if (ss) out.sameSite = ss;
-      if (ss === 'None') out.secure = true; // règle web
+const selectorHealth = createSelectorHealth({
+  file: SELECTOR_HEALTH_FILE || null,
+  degradeAfter: SELECTOR_DEGRADED_AFTER,
+  onDegraded: (e) => selectorAlert('degraded', e),
+  onRecovered: (e) => selectorAlert('recovered', e),
+});
 
-      let exp = Number(c.expirationDate ?? c.expiry);
-      if (Number.isFinite(exp) && exp > 0) {
-        if (exp > 1e12) exp = Math.floor(exp / 1000); // corrige ms
-        out.expires = Math.floor(exp);
-      }
-      return out;
-    });
-};
+// ---------- PLUGINS ----------
+// Services exposés aux plugins ; les fonctions ne sont appelées qu'au moment des runs
+const platforms = loadPlugins({
+  dir: PLUGINS_DIR,
+  names: PLUGINS,
+  core: {
+    env: process.env,
+    store,
+    pendingReplies,
+    artifactStore,
+    getContextWithSession,
+    assertLoggedIn,
+    selectorConfig,
+    selectorHealth,
+    config: { proxyCheckUrl: PROXY_CHECK_URL },
+  },
+});
+// sélecteurs du plugin = version 0 de sa config
+for (const plugin of platforms.list()) selectorConfig.register(plugin.platform, plugin.selectors, { dom: plugin.domSelectors });
+if (!platforms.names().length) console.warn(`Aucun plugin de plateforme chargé (${PLUGINS_DIR})`);
+// platform des routes / modes quand le body n'en donne pas (défaut : premier plugin chargé)
+const DEFAULT_PLATFORM = (process.env.DEFAULT_PLATFORM || platforms.names()[0] || '').toLowerCase();
+
+// platform + account d'un body de route → { platform, plugin, account } ou { error } (400)
+function sessionTarget(body = {}) {
+  const platform = String(body.platform || DEFAULT_PLATFORM).toLowerCase();
+  const plugin = platforms.get(platform);
+  if (!plugin) {
+    return {
+      error: badRequest(`Unknown platform "${platform}"`, {
+        errors: [{ field: 'platform', message: `must be one of: ${platforms.names().join(', ')}` }],
+      }),
+    };
+  }
+  const account = body.account || plugin.defaultAccount;
+  if (!account) return { error: badRequest('Missing "account"') };
+  return { platform, plugin, account };
+}
 
-// flags debug
-const cookieFlags = (list = []) => {
-  const names = new Set(list.map((c) => c.name));
-  const has = (n) => names.has(n);
-  return {
-    has_sessionid: has('sessionid'),
-    has_sessionid_ss: has('sessionid_ss'),
-    has_sid_tt: has('sid_tt'),
-    has_sid_ucp_v1: has('sid_ucp_v1'),
-    has_ssid_ucp_v1: has('ssid_ucp_v1'),
-    has_msToken: has('msToken'),
-    has_ttwid: has('ttwid'),
-    has_tt_chain_token: has('tt_chain_token'),
-    has_tt_csrf_token: has('tt_csrf_token'),
-  };
-};
+// ---------- EXPRESS ----------
+const app = express();
+app.use(express.json({ limit: '5mb' }));
+// sans corps JSON (ou autre content-type), Express 5 laisse req.body undefined : les routes
+// lisent alors un objet vide et répondent 400 sur les champs manquants
+app.use((req, _res, next) => {
+  if (req.body === undefined || req.body === null) req.body = {};
+  next();
+});
 
-// ---------- SUPABASE HELPERS ----------
-async function upsertSession({ platform, account, cookies, user_agent }) {
-  if (!supabase) throw new Error('Supabase not configured');
+app.get('/health', (_req, res) => res.status(200).json({
+  ok: true,
+  store: store.kind,
+  cookiesEncrypted: cookieCipher.enabled,
+  artifacts: { store: artifactStore.kind, mode: ARTIFACTS_MODE },
+  platforms: platforms.names(),
+  selectors: { degraded: selectorHealth.degraded() },
+  pool: pool.stats(),
+  jobs: jobs.stats(),
+  loginSessions: loginSessions.stats(),
+}));
+
+// ---------- SESSION HELPERS ----------
+// storage_state : { origins } (localStorage) issu d'un import storageState, optionnel
+async function upsertSession({ platform, account, cookies, user_agent, storage_state }) {
   if (!Array.isArray(cookies)) throw new Error('cookies must be an array');
+  return store.upsert({
+    platform,
+    account,
+    cookies,
+    user_agent: user_agent || null,
+    ...(storage_state !== undefined ? { storage_state } : {}),
+  });
+}
 
-  const row = { platform, account, cookies, user_agent: user_agent || null };
-
-  const { data, error } = await supabase
-    .from('tiktok_sessions')
-    .upsert(row, { onConflict: 'platform,account' })
-    .select()
-    .limit(1);
+async function loadSession(platform, account) {
+  return store.load(platform, account);
+}
 
-  if (error) throw error;
-  return data && data[0];
+// Sérialise les écritures par clé (deux jobs du même account qui finissent ensemble)
+const keyLocks = new Map();
+function withKeyLock(key, fn) {
+  const prev = keyLocks.get(key) || Promise.resolve();
+  const run = prev.then(fn, fn);
+  const tail = run.catch(() => {});
+  keyLocks.set(key, tail);
+  tail.then(() => { if (keyLocks.get(key) === tail) keyLocks.delete(key); });
+  return run;
 }
 
-async function loadSession(platform, account) {
-  if (!supabase) throw new Error('Supabase not configured');
-  const { data, error } = await supabase
-    .from('tiktok_sessions')
-    .select('cookies,user_agent')
-    .eq('platform', platform)
-    .eq('account', account)
-    .order('id', { ascending: false })
-    .limit(1);
-
-  if (error) throw error;
-  if (!data || !data.length) return null;
-  return data[0];
+// Réécrit dans la session l'état rafraîchi du context : cookie jar (msToken, ttwid, …)
+// fusionné, et storageState complet (localStorage, IndexedDB, sessionStorage des pages).
+// Relit la ligne sous verrou pour fusionner sur la version la plus récente.
+// retired / loaded : lease.retired du pool et ligne lue à l'acquisition. Context retiré (set-cookies,
+// login, profil) ou ligne réécrite depuis : le jar du context est périmé → rien n'est écrit.
+async function persistSessionState({
+  platform, account, context, pages, retired = null, loaded = null,
+}) {
+  const fresh = (await context.cookies()).map(fromPlaywrightCookie);
+  const captured = await captureStorageState(context, { pages });
+  return withKeyLock(sessionKey(platform, account), async () => {
+    const row = await loadSession(platform, account);
+    if (!row) return null;
+    if (retired?.() || (loaded?.updated_at && row.updated_at !== loaded.updated_at)) {
+      console.warn(`[sessions] refresh ${sessionKey(platform, account)} ignoré : session modifiée pendant le run`);
+      return null;
+    }
+    const { cookies, stats } = mergeCookies(row.cookies, fresh, { baseUrl: platforms.get(platform)?.baseUrl });
+    // les origines non visitées pendant ce run gardent leur sessionStorage précédent
+    const storage_state = {
+      ...captured,
+      sessionStorage: { ...(row.storage_state?.sessionStorage || {}), ...captured.sessionStorage },
+    };
+    await store.upsert({
+      platform, account, cookies, storage_state, last_refreshed_at: new Date().toISOString(),
+    });
+    return { cookies: stats, storageState: summarizeStorageState(storage_state) };
+  });
 }
 
 // ---------- AUTH: ENREGISTRE LES COOKIES EN DB ----------
-app.post('/auth/set-cookies', async (req, res) => {
+// "cookies" (ou "storageState") accepte : export Cookie-Editor / EditThisCookie / Playwright,
+// storageState Playwright (avec localStorage), cookies.txt Netscape, header "Cookie: a=b; c=d".
+// Format auto-détecté, forçable via "format".
+app.post('/auth/set-cookies', auth.requireScope('sessions:write'), async (req, res) => {
   try {
-    const platform = (req.body.platform || TTK_PLATFORM || 'tiktok').toLowerCase();
-    const account = req.body.account || TTK_ACCOUNT;
-    const cookies = req.body.cookies;
+    const input = req.body.cookies ?? req.body.storageState;
 
-    if (!Array.isArray(cookies)) {
-      return res.status(400).json({ ok: false, error: 'Body must include "cookies": []' });
+    if (input === undefined || input === null || input === '') {
+      return res.status(400).json({ ok: false, error: 'Body must include "cookies" (or "storageState")' });
     }
-    if (!account) {
-      return res.status(400).json({ ok: false, error: 'Missing "account"' });
+    const { platform, plugin, account, error } = sessionTarget(req.body);
+    if (error) return res.status(400).json(error);
+
+    let parsed;
+    try {
+      parsed = parseCookieImport(input, { format: req.body.format || null, defaultDomain: plugin.cookieDomain });
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    const { format, cookies, warnings, origins } = parsed;
+    if (!cookies.length) {
+      return res.status(400).json({ ok: false, error: 'No valid cookie found', format, warnings });
     }
 
-    const saved = await upsertSession({
-      platform,
-      account,
-      cookies,
-      user_agent: req.body.user_agent || req.headers['user-agent'] || null,
+    // sous verrou : une réécriture de fin de run ne peut pas passer entre l'upsert et l'invalidation
+    const saved = await withKeyLock(sessionKey(platform, account), async () => {
+      const row = await upsertSession({
+        platform,
+        account,
+        cookies,
+        user_agent: req.body.user_agent || req.body.userAgent || req.headers['user-agent'] || null,
+        storage_state: origins ? { origins } : undefined,
+      });
+      // le context en cache porte les anciens cookies
+      await pool.invalidate(sessionKey(platform, account));
+      return row;
     });
 
     return res.json({
       ok: true,
       platform,
       account,
+      format,
       saved: cookies.length,
-      flags: cookieFlags(cookies),
+      origins: origins ? origins.length : 0,
+      flags: plugin.cookieFlags(cookies),
+      warnings,
+      conversion: plugin.toPlaywrightCookies(cookies).report,
       rowId: saved?.id || null,
     });
   } catch (e) {
@@ -148,276 +329,704 @@ app.post('/auth/set-cookies', async (req, res) => {
   }
 });
 
-// ===================== HELPERS BROWSER =====================
-async function getContextWithSession({ account = TTK_ACCOUNT, platform = TTK_PLATFORM }) {
-  if (!hasSupabase) throw new Error('Supabase not configured');
-  const session = await loadSession(platform, account);
-  if (!session) throw new Error('No session in DB for this account/platform');
+// ---------- SESSIONS : ÉTAT ----------
+// Vérification périodique (mode checkMode du plugin) de chaque session enregistrée
+const sessionMonitor = createSessionMonitor({
+  store,
+  check: ({ platform, account }) => runMode(platforms.get(platform).checkMode, { platform, account }),
+  platforms: () => platforms.list().filter((p) => p.checkMode).map((p) => p.platform),
+  criticalFor: (platform) => platforms.get(platform).criticalCookies,
+  intervalMs: SESSION_CHECK_INTERVAL_MS,
+  warnMs: SESSION_EXPIRY_WARN_MS,
+});
 
-  const cookiesRaw = Array.isArray(session.cookies) ? session.cookies : [];
-  const cookiesPW = toPlaywrightCookiesStrict(cookiesRaw);
+app.get('/sessions', auth.requireScope('sessions:read'), async (_req, res) => {
+  try {
+    const rows = await store.list();
+    const sessions = rows.map((row) => {
+      // plateforme sans plugin chargé : session listée, sans flags ni cookies critiques connus
+      const plugin = platforms.get(row.platform);
+      const { status, expiry } = classifySession(row, { warnMs: SESSION_EXPIRY_WARN_MS, critical: plugin?.criticalCookies });
+      const cookies = Array.isArray(row.cookies) ? row.cookies : [];
+      return {
+        platform: row.platform,
+        account: row.account,
+        status,
+        lastVerifiedAt: row.last_verified_at || null,
+        lastRefreshedAt: row.last_refreshed_at || null,
+        storageState: row.storage_state ? summarizeStorageState(row.storage_state) : null,
+        profile: summarizeProfile(row.profile),
+        lastCheck: row.last_check || null,
+        expiresAt: expiry.expiresAt,
+        expiringCookie: expiry.cookie,
+        missingCriticalCookies: expiry.missing,
+        cookiesCount: cookies.length,
+        flags: plugin ? plugin.cookieFlags(cookies) : {},
+      };
+    });
+    return res.json({ ok: true, count: sessions.length, sessions, monitor: sessionMonitor.stats() });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message || String(e) });
+  }
+});
 
-  const browser = await chromium.launch({ headless: HEADLESS });
-  const context = await browser.newContext({
-    userAgent: session.user_agent || undefined,
-    viewport: { width: 1366, height: 900 },
-  });
+// Capture l'état complet d'un context vivant (cookies + storageState) et l'enregistre.
+// body : { platform, account, url?, settleMs? } — url visitée avant capture (défaut : accueil de la plateforme)
+// Même cadre qu'un run (timeout, libération garantie) ; session déconnectée → rien n'est écrit.
+const CAPTURE_SETTLE_MAX_MS = 30000;
+app.post('/sessions/capture-state', auth.requireScope('sessions:write'), async (req, res) => {
+  const { platform, plugin, account, error } = sessionTarget(req.body);
+  if (error) return res.status(400).json(error);
+  const settleMs = Math.min(Math.max(Number(req.body.settleMs ?? 2000) || 0, 0), CAPTURE_SETTLE_MAX_MS);
 
-  for (let i = 0; i < cookiesPW.length; i++) {
-    const ck = cookiesPW[i];
-    await context.addCookies([ck]).catch((e) => {
-      throw new Error(`cookie[${i}] "${ck.name}": ${e.message}`);
+  const scope = createRunScope({ timeoutMs: RUN_DEFAULT_TIMEOUT_MS, label: 'capture-state' });
+  try {
+    const saved = await runInScope(scope, async () => {
+      const run = await getContextWithSession({ account, platform, scope });
+      try {
+        const { page, context } = run;
+        await page.goto(req.body.url || plugin.baseUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await assertLoggedIn(run);
+        await page.waitForTimeout(settleMs);
+        const state = await persistSessionState({
+          platform, account, context, pages: [page], retired: run.retired, loaded: run.session,
+        });
+        return state && { url: page.url(), ...state };
+      } finally {
+        await run.release();
+      }
     });
+    if (!saved) return res.status(409).json({ ok: false, error: 'Session changed during the capture, retry' });
+    return res.json({ ok: true, platform, account, ...saved });
+  } catch (e) {
+    const result = errorResult(e, { platform, account }, scope);
+    return res.status(httpStatus(result)).json(result);
   }
+});
 
-  const page = await context.newPage();
-  return { browser, context, page };
-}
+// Profil d'empreinte de l'account (viewport, locale, timezone, proxy, …), remplacé en entier,
+// sauf le proxy : conservé tant que profile.proxy n'est pas fourni (null = le retirer).
+// body : { platform, account, profile } — profile: null revient aux valeurs par défaut (proxy conservé)
+app.post('/sessions/profile', auth.requireScope('sessions:write'), async (req, res) => {
+  const { platform, account, error } = sessionTarget(req.body);
+  if (error) return res.status(400).json(error);
+  if (req.body.profile === undefined) return res.status(400).json({ ok: false, error: 'Missing "profile"' });
+
+  const { profile, errors } = req.body.profile === null ? { profile: null, errors: [] } : normalizeProfile(req.body.profile);
+  if (errors.length) return res.status(400).json({ ok: false, error: 'Invalid profile', errors });
+
+  const keepProxy = !(req.body.profile && 'proxy' in req.body.profile);
+
+  try {
+    const row = await withKeyLock(sessionKey(platform, account), async () => {
+      const current = await loadSession(platform, account);
+      if (!current) return null;
+      // un changement d'empreinte ne doit jamais faire sortir l'account par l'IP du conteneur
+      const proxy = keepProxy ? current.profile?.proxy : null;
+      const next = proxy ? { ...(profile || {}), proxy } : profile;
+      const saved = await store.upsert({ platform, account, profile: next });
+      // le context en cache a été créé avec l'ancien profil
+      await pool.invalidate(sessionKey(platform, account));
+      return saved;
+    });
+    if (!row) return res.status(404).json({ ok: false, error: 'No session in DB for this account/platform' });
 
-// Ouvre l’onglet Commentaires si présent
-async function ensureCommentsOpen(page) {
-  const commentsTab = page.getByRole('tab', { name: /commentaires|comments/i });
-  if (await commentsTab.isVisible().catch(() => false)) {
-    await commentsTab.click();
-    await page.waitForTimeout(700);
+    return res.json({
+      ok: true,
+      platform,
+      account,
+      profile: summarizeProfile(row.profile),
+      contextOptions: summarizeProfile(profileContextOptions(row.profile, { userAgent: row.user_agent })),
+      warnings: profileWarnings(row.profile || {}, { userAgent: row.user_agent }),
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message || String(e) });
   }
-}
+});
+
+// Proxy seul de l'account (le reste du profil est conservé).
+// body : { platform, account, proxy: { server, username?, password?, bypass? } | null }
+app.post('/sessions/proxy', auth.requireScope('sessions:write'), async (req, res) => {
+  const { platform, account, error } = sessionTarget(req.body);
+  if (error) return res.status(400).json(error);
+  if (req.body.proxy === undefined) return res.status(400).json({ ok: false, error: 'Missing "proxy"' });
+
+  const { proxy, errors } = req.body.proxy === null ? { proxy: null, errors: [] } : normalizeProxy(req.body.proxy);
+  if (errors.length) return res.status(400).json({ ok: false, error: 'Invalid proxy', errors });
 
-// Ferme un overlay/modal éventuel qui bloque les clics
-async function closeBlockingOverlays(page) {
-  // TUX modal overlay (TikTok)
-  const overlay = page.locator('[data-station-status="open"][data-tux-color-scheme]');
-  if (await overlay.first().isVisible().catch(() => false)) {
-    await page.keyboard.press('Escape').catch(() => {});
-    await overlay.first().waitFor({ state: 'detached', timeout: 2000 }).catch(() => {});
+  try {
+    const row = await withKeyLock(sessionKey(platform, account), async () => {
+      const current = await loadSession(platform, account);
+      if (!current) return null;
+      const { proxy: _old, ...rest } = current.profile || {};
+      const saved = await store.upsert({ platform, account, profile: { ...rest, ...(proxy ? { proxy } : {}) } });
+      await pool.invalidate(sessionKey(platform, account));
+      return saved;
+    });
+    if (!row) return res.status(404).json({ ok: false, error: 'No session in DB for this account/platform' });
+
+    // joignabilité immédiate (informatif : les identifiants sont vérifiés par tiktok.check)
+    let probe = null;
+    if (proxy) {
+      probe = await probeProxy(proxy, { timeoutMs: PROXY_PROBE_TIMEOUT_MS })
+        .then((r) => ({ ok: true, latencyMs: r.latencyMs }))
+        .catch((e) => ({ ok: false, code: e.code, error: e.message }));
+    }
+    return res.json({
+      ok: true, platform, account, proxy: redactProxy(proxy), probe,
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message || String(e) });
   }
-}
+});
+
+// ---------- CONNEXION À DISTANCE ----------
+// Context dédié diffusé par screencast vers /login-sessions/:id/view?token=… ;
+// l'opérateur se connecte (2FA, captcha), cookies + UA + storageState enregistrés à la détection.
+const loginSessions = createLoginSessions({
+  pool,
+  ttlMs: LOGIN_SESSION_TTL_MS,
+  maxActive: LOGIN_SESSIONS_MAX,
+  detect: async (page, context, { platform }) => {
+    const login = await platforms.get(platform).detectLogin(page, { context, waitMs: 500 });
+    return login.state === 'loggedIn';
+  },
+  onLoggedIn: async ({
+    platform, account, context, page,
+  }) => {
+    const cookies = (await context.cookies()).map(fromPlaywrightCookie);
+    const userAgent = await page.evaluate(() => navigator.userAgent);
+    const storage_state = await captureStorageState(context, { pages: [page] });
+    await withKeyLock(sessionKey(platform, account), async () => {
+      await upsertSession({
+        platform, account, cookies, user_agent: userAgent, storage_state,
+      });
+      await pool.invalidate(sessionKey(platform, account));
+    });
+    console.log(`[login] session enregistrée ${sessionKey(platform, account)} (${cookies.length} cookies)`);
+    return { cookies: cookies.length, flags: platforms.get(platform).cookieFlags(cookies), userAgent };
+  },
+});
+
+// body : { platform, account, url? } → viewerUrl à ouvrir par l'opérateur
+app.post('/login-sessions', auth.requireScope('sessions:write'), async (req, res) => {
+  const { platform, plugin, account, error } = sessionTarget(req.body);
+  if (error) return res.status(400).json(error);
 
-// Scroll fort pour hydrater la liste de commentaires
-async function hydrateComments(page, loops = 10) {
-  for (let i = 0; i < loops; i++) {
-    await page.mouse.wheel(0, 900);
-    await page.waitForTimeout(400);
+  try {
+    // profil de l'account s'il existe déjà ; sinon UA aligné sur le Chromium embarqué
+    const row = await loadSession(platform, account);
+    const browser = await pool.getBrowser();
+    const userAgent = row?.profile?.userAgent || row?.user_agent || defaultUserAgent(browser.version());
+    const proxy = row?.profile?.proxy;
+    if (proxy) await probeProxy(proxy, { timeoutMs: PROXY_PROBE_TIMEOUT_MS });
+
+    const login = await loginSessions.create({
+      platform,
+      account,
+      url: req.body.url || plugin.loginUrl,
+      contextOptions: profileContextOptions(row?.profile, { userAgent }),
+    });
+    const { token, ...rest } = login;
+    if (login.status === 'failed') return res.status(502).json({ ok: false, ...rest });
+
+    const viewerUrl = `/login-sessions/${login.id}/view?token=${encodeURIComponent(token)}`;
+    return res.status(201).json({ ok: true, ...rest, viewerUrl });
+  } catch (e) {
+    // LOGIN_BUSY (503), proxy injoignable (502), sinon 500
+    return res.status(httpStatus({ ok: false, code: e.code })).json({ ok: false, error: e.message || String(e), ...(e.code ? { code: e.code } : {}) });
   }
-}
+});
 
-// Sélecteurs robustes (fallback-chain)
-const SEL = {
-  // Item : deux variantes vues sur TikTok web
-  item: 'div[class*="DivCommentObject"], [data-e2e="comment-item"], li[class*="CommentItem"]',
-  // User : lien profil ou data-e2e
-  user: 'a[href^="/@"], [data-e2e="comment-username"]',
-  // Texte : data-e2e, sinon niveaux, sinon texte brut du bloc contenu
-  text: '[data-e2e="comment-text"], span[data-e2e^="comment-level"], div[class*="DivCommentSubContent"]',
-  // Bouton répondre (FR/EN)
-  replyBtn: 'button:has-text("Répondre"), button:has-text("Reply"), [data-e2e="comment-reply"]',
-  // Champ saisie
-  input: '[data-e2e="comment-input"], textarea',
-};
+app.get('/login-sessions/:id', auth.requireScope('sessions:read'), (req, res) => {
+  const login = loginSessions.get(req.params.id);
+  if (!login) return res.status(404).json({ ok: false, error: 'Login session not found' });
+  return res.json({ ok: true, ...login });
+});
 
-// ===================== RUN MODES ===========================
-app.post('/run', async (req, res) => {
-  const mode = req.body.mode || 'smoke';
+app.delete('/login-sessions/:id', auth.requireScope('sessions:write'), async (req, res) => {
+  const login = await loginSessions.cancel(req.params.id);
+  if (!login) return res.status(404).json({ ok: false, error: 'Login session not found' });
+  return res.json({ ok: true, ...login });
+});
 
-  if (mode === 'smoke')                return smokeRun(req, res);
-  if (mode === 'tiktok.check')         return tiktokCheck(req, res);
-  if (mode === 'tiktok.debugSelectors')return tiktokDebugSelectors(req, res);
-  if (mode === 'tiktok.fetchComments') return tiktokFetchComments(req, res);
-  if (mode === 'tiktok.reply')         return tiktokReply(req, res);
+// Routes opérateur : authentifiées par le token de la session de login (pas de clé d'API)
+const requireLoginToken = (req, res, next) => {
+  if (loginSessions.checkToken(req.params.id, req.query.token)) return next();
+  console.warn(`[login] 401 ${req.method} ${req.path} ip=${req.ip} reason=invalid_login_token`);
+  return res.status(401).json({ ok: false, error: 'Unauthorized', code: 'UNAUTHORIZED', reason: 'invalid_login_token' });
+};
 
-  return res.json({ ok: true, mode }); // fallback debug
+app.get('/login-sessions/:id/view', requireLoginToken, (req, res) => {
+  res.type('html').send(viewerPage({ id: req.params.id, token: req.query.token }));
 });
 
-// --- smoke
-async function smokeRun(_req, res) {
-  const browser = await chromium.launch({ headless: HEADLESS });
-  const context = await browser.newContext({ viewport: { width: 1280, height: 800 } });
-  const page = await context.newPage();
-  await page.goto(SMOKE_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
-  const title = await page.title();
-  const url = page.url();
-  await browser.close();
-  return res.json({ ok: true, title, url });
-}
+app.get('/login-sessions/:id/stream', requireLoginToken, (req, res) => {
+  if (!loginSessions.attachViewer(req.params.id, res)) {
+    res.status(404).json({ ok: false, error: 'Login session not found' });
+  }
+});
 
-// --- check (ouvre tiktok.com avec cookies)
-async function tiktokCheck(req, res) {
-  const account = req.body.account || TTK_ACCOUNT;
-  const platform = (req.body.platform || TTK_PLATFORM || 'tiktok').toLowerCase();
+app.post('/login-sessions/:id/input', requireLoginToken, async (req, res) => {
+  if (!loginSessions.get(req.params.id)) return res.status(404).json({ ok: false, error: 'Login session not found' });
+  try {
+    return res.json({ ok: true, ...(await loginSessions.input(req.params.id, req.body || {})) });
+  } catch (e) {
+    return res.status(409).json({ ok: false, error: e.message || String(e) });
+  }
+});
 
-  if (!hasSupabase) return res.json({ ok: false, error: 'Supabase not configured' });
-  if (!account) return res.json({ ok: false, error: 'Missing "account"' });
+// ---------- ARTIFACTS ----------
+// Contenu brut d'un artefact (screenshot png, html, trace zip à ouvrir avec `npx playwright show-trace`)
+// HTML et trace portent des données de session (jetons de page, en-têtes Cookie) : scope artifacts:read
+const SENSITIVE_ARTIFACTS = new Set(['html', 'trace']);
+const requireArtifactsRead = auth.requireScope('artifacts:read');
 
+app.get('/artifacts/:id', auth.requireScope('run:read'), async (req, res) => {
   try {
-    const session = await loadSession(platform, account);
-    if (!session) return res.json({ ok: false, error: 'No session in DB for this account/platform' });
+    const found = await artifactStore.get(req.params.id);
+    if (!found) return res.status(404).json({ ok: false, error: 'Artifact not found' });
+    const { record, body } = found;
+    if (SENSITIVE_ARTIFACTS.has(record.kind)) {
+      let allowed = false;
+      await requireArtifactsRead(req, res, () => { allowed = true; });
+      if (!allowed) return res; // 401 / 403 déjà envoyé
+    }
+    res.set('Content-Type', record.contentType);
+    res.set('Content-Disposition', `${record.kind === 'trace' ? 'attachment' : 'inline'}; filename="${record.file}"`);
+    // HTML capturé sur TikTok : jamais exécuté dans l'origine du service
+    if (record.kind === 'html') res.set('Content-Security-Policy', 'sandbox');
+    return res.send(body);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message || String(e) });
+  }
+});
 
-    const cookiesRaw = Array.isArray(session.cookies) ? session.cookies : [];
-    const cookiesPW = toPlaywrightCookiesStrict(cookiesRaw);
+// ---------- SELECTORS ----------
+// :platform → req.plugin
+const requirePlatform = (req, res, next) => {
+  req.plugin = platforms.get(req.params.platform);
+  if (req.plugin) return next();
+  return res.status(404).json({ ok: false, error: `Unknown platform "${req.params.platform}"` });
+};
 
-    const browser = await chromium.launch({ headless: HEADLESS });
-    const context = await browser.newContext({
-      userAgent: session.user_agent || undefined,
-      viewport: { width: 1366, height: 900 },
-    });
+// Version active, santé par alternative (taux de match) et sélecteurs attendus en échec
+app.get('/selectors/:platform', auth.requireScope('run:read'), requirePlatform, (req, res) => {
+  const { plugin } = req;
+  const health = selectorHealth.report(plugin.platform);
+  return res.json({
+    ok: true,
+    ...selectorConfig.get(plugin.platform),
+    expected: plugin.expectedSelectors,
+    degraded: Object.keys(health).filter((k) => health[k].degraded),
+    health,
+  });
+});
 
-    try {
+app.get('/selectors/:platform/versions', auth.requireScope('run:read'), requirePlatform, (req, res) => {
+  const { plugin } = req;
+  return res.json({ ok: true, platform: plugin.platform, versions: selectorConfig.versions(plugin.platform) });
+});
+
+// Nouvelle version active, sans redéploiement ; pris en compte au run suivant.
+// body : { selectors: { clé: "a, b" | ["a", "b"] | null }, baseVersion?, note? } — null = défaut du plugin
+app.put('/selectors/:platform', auth.requireScope('selectors:write'), requirePlatform, (req, res) => {
+  const { plugin } = req;
+  const { selectors, baseVersion, note } = req.body || {};
+  if (baseVersion !== undefined && !Number.isInteger(baseVersion)) {
+    return res.status(400).json(badRequest('Invalid "baseVersion"', { errors: [{ field: 'baseVersion', message: 'must be integer' }] }));
+  }
+
+  const r = selectorConfig.update(plugin.platform, selectors, {
+    by: req.apiKey?.name || null, note: note ? String(note) : null, baseVersion,
+  });
+  if (r.conflict !== undefined) {
+    return res.status(409).json({ ok: false, error: `Active version is ${r.conflict}, not ${baseVersion}`, activeVersion: r.conflict });
+  }
+  if (r.errors) return res.status(400).json(badRequest('Invalid selectors', { errors: r.errors }));
+  console.log(`[selectors] ${plugin.platform} version ${r.config.version} activée (${r.config.createdBy || 'anonyme'})`);
+  return res.json({ ok: true, ...r.config });
+});
+
+// Retour à une version précédente (0 = sélecteurs du plugin). body : { version }
+app.post('/selectors/:platform/activate', auth.requireScope('selectors:write'), requirePlatform, (req, res) => {
+  const { plugin } = req;
+  const version = req.body?.version;
+  if (!Number.isInteger(version)) {
+    return res.status(400).json(badRequest('Missing "version"', { errors: [{ field: 'version', message: 'must be integer' }] }));
+  }
+  const r = selectorConfig.activate(plugin.platform, version);
+  if (!r) return res.status(404).json({ ok: false, error: `Version ${version} not found` });
+  if (r.errors) return res.status(400).json(badRequest(`Version ${version} has invalid selectors`, { errors: r.errors }));
+  console.log(`[selectors] ${plugin.platform} version ${version} réactivée`);
+  return res.json({ ok: true, ...r.config });
+});
+
+// ===================== HELPERS BROWSER =====================
+const sessionKey = (platform, account) => `${platform}:${account}`;
+
+// Emprunte au pool le context de l'account (créé avec ses cookies au besoin)
+// et ouvre une page dédiée. Toujours appeler release() en fin de run.
+// scope : cadre du run (lib/runScope.js) — signal, collecteur d'artefacts, suivi des leases
+// Cookies convertis par le plugin de la platform (domaines, URL d'accueil).
+// Run annulé / expiré pendant l'attente (slot, session, proxy) : rien n'est rendu au handler,
+// ce qui a été pris est libéré et l'erreur du signal est levée.
+async function getContextWithSession({ account, platform, scope = {} }) {
+  const { signal, artifacts } = scope;
+  const throwIfAborted = () => {
+    if (signal?.aborted) throw signal.reason;
+  };
+  const plugin = platforms.get(platform);
+  if (!plugin) throw runError('UNKNOWN_PLATFORM', `No plugin loaded for platform "${platform}"`);
+  if (!account) throw runError('BAD_REQUEST', 'Missing "account"');
+  throwIfAborted();
+  const session = await loadSession(platform, account);
+  if (!session) throw runError('NO_SESSION', `No session in DB for ${sessionKey(platform, account)}`);
+  throwIfAborted();
+
+  // proxy configuré mais injoignable : échec explicite plutôt que des timeouts de navigation
+  const proxy = session.profile?.proxy || null;
+  if (proxy) await probeProxy(proxy, { timeoutMs: PROXY_PROBE_TIMEOUT_MS });
+  throwIfAborted();
+
+  const cookiesRaw = Array.isArray(session.cookies) ? session.cookies : [];
+  const { cookies: cookiesPW, report: cookieReport } = plugin.toPlaywrightCookies(cookiesRaw);
+
+  // profil d'empreinte de l'account (UA, viewport, locale, timezone, proxy, …)
+  // + storageState enregistré (localStorage, IndexedDB, sessionStorage) : appliqués à la création du context
+  const lease = await pool.acquire(sessionKey(platform, account), {
+    signal, // attente d'un slot abandonnée à l'annulation / au timeout du run
+    contextOptions: {
+      ...profileContextOptions(session.profile, { userAgent: session.user_agent }),
+      ...contextStorageOptions(session.storage_state),
+    },
+    setup: async (context) => {
+      await applySessionStorage(context, session.storage_state?.sessionStorage);
       for (let i = 0; i < cookiesPW.length; i++) {
-        await context.addCookies([cookiesPW[i]]);
+        const ck = cookiesPW[i];
+        await context.addCookies([ck]).catch((e) => {
+          throw runError('INVALID_COOKIES', `addCookies: cookie[${i}] "${ck.name}": ${e.message}`);
+        });
       }
-    } catch (e) {
-      await browser.close();
-      return res.json({ ok: false, error: `addCookies: ${e.message}` });
-    }
+    },
+  });
 
-    const page = await context.newPage();
-    await page.goto(TTK_BASE_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
+  let page;
+  try {
+    throwIfAborted();
+    page = await lease.context.newPage();
+    if (artifacts) await artifacts.attach(lease.context, page);
+  } catch (e) {
+    if (page) await page.close().catch(() => {});
+    await lease.release();
+    throw e;
+  }
 
-    // Détection simple
-    let loggedIn = false;
+  // job annulé : fermer la page fait échouer l'action Playwright en cours
+  const onAbort = () => page.close().catch(() => {});
+
+  // run réussi (markSuccess) → cookies + storageState rafraîchis réécrits dans le store au release
+  let succeeded = false;
+  const markSuccess = () => { succeeded = true; };
+
+  // idempotent ; broken : libéré de force par le wrapper (handler bloqué) → context retiré du pool
+  let released = false;
+  let untrack = () => {};
+  const release = async ({ broken = false } = {}) => {
+    if (released) return;
+    released = true;
+    untrack();
+    signal?.removeEventListener('abort', onAbort);
+    if (artifacts) await artifacts.finish({ failed: !succeeded });
     try {
-      const avatar = await page.locator('[data-e2e="nav-user-avatar"]').first().isVisible().catch(() => false);
-      const loginBtn = await page.locator('[data-e2e="top-login-button"], a[href*="/login"]').first().isVisible().catch(() => false);
-      const names = new Set(cookiesRaw.map((c) => c.name));
-      const hasSess = names.has('sessionid') || names.has('sessionid_ss') || names.has('sid_tt');
-      loggedIn = Boolean(avatar || (hasSess && !loginBtn));
-    } catch (_) {}
-
-    const title = await page.title().catch(() => null);
-    const url = page.url();
-    await browser.close();
-    return res.json({
-      ok: true, usedSupabase: true, account, platform, loggedIn, title, url, cookiesCount: cookiesPW.length,
-    });
-  } catch (e) {
-    return res.json({ ok: false, error: e.message || String(e) });
+      // avant de fermer la page : son sessionStorage fait partie de l'état capturé
+      if (succeeded && !broken) {
+        await persistSessionState({
+          platform, account, context: lease.context, pages: [page], retired: lease.retired, loaded: session,
+        });
+      }
+    } catch (e) {
+      console.error(`[sessions] refresh ${sessionKey(platform, account)}:`, e.message || e);
+    } finally {
+      await page.close().catch(() => {});
+      await lease.release();
+      if (broken) await pool.invalidate(sessionKey(platform, account));
+    }
+  };
+  const run = {
+    platform, account, plugin, context: lease.context, page, session, proxy, cookiesRaw, cookiesPW, cookieReport, markSuccess, release,
+    retired: lease.retired,
+  };
+  // abort déjà émis (pendant newPage / la trace) : addEventListener ne le rappellerait pas,
+  // et le scope a pu être libéré (dispose) — on rend tout tout de suite
+  if (signal?.aborted) {
+    await release();
+    throw signal.reason;
   }
+  signal?.addEventListener('abort', onAbort, { once: true });
+  if (scope.track) untrack = scope.track(run);
+  return run;
 }
 
-// --- debug selectors : compte ce que voit Playwright
-async function tiktokDebugSelectors(req, res) {
-  const { videoUrl, account = TTK_ACCOUNT, platform = TTK_PLATFORM } = req.body;
-  if (!videoUrl) return res.json({ ok: false, error: 'Missing "videoUrl"' });
+// État de connexion sur la page courante ; échoue (LOGGED_OUT | CHALLENGED) si non connecté.
+// Détecteur du plugin de la platform ; à appeler juste après la première navigation de chaque mode.
+async function assertLoggedIn(run) {
+  const login = await run.plugin.detectLogin(run.page, { context: run.context });
+  if (login.state !== 'loggedIn') throw loginStateError(login);
+  return login;
+}
 
-  try {
-    const { browser, page } = await getContextWithSession({ account, platform });
-    await page.goto(videoUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
-    await ensureCommentsOpen(page);
-    await hydrateComments(page, 12);
-
-    const counts = {
-      item: await page.locator(SEL.item).count().catch(() => 0),
-      user: await page.locator(SEL.user).count().catch(() => 0),
-      text: await page.locator(SEL.text).count().catch(() => 0),
-      reply: await page.locator(SEL.replyBtn).count().catch(() => 0),
-    };
 
-    const sample = [];
-    const n = Math.min(counts.item, 3);
-    for (let i = 0; i < n; i++) {
-      const root = page.locator(SEL.item).nth(i);
-      const u = await root.locator(SEL.user).first().textContent().catch(() => null);
-      const t = await root.locator(SEL.text).first().textContent().catch(() => null);
-      sample.push({ index: i, user: u?.trim() ?? null, text: t?.trim() ?? null });
-    }
+// ===================== RUN MODES ===========================
+// Chaque mode reçoit le body (validé contre son schéma d'entrée) et renvoie l'objet JSON de réponse.
+// smoke : mode du core ; les autres viennent des plugins de plateforme (lib/plugins.js).
+const modes = createModeRegistry().register('smoke', {
+  handler: smokeRun,
+  description: 'Open SMOKE_URL in a throwaway context',
+  resumable: true,
+  output: {
+    required: ['title', 'url'],
+    properties: { title: { type: 'string' }, url: { type: 'string' } },
+  },
+});
+for (const plugin of platforms.list()) {
+  for (const [name, def] of Object.entries(plugin.modes)) modes.register(name, { ...def, platform: plugin.platform });
+}
+
+// Scope requis par le body (défaut : run:read, mode smoke)
+const scopeForRun = (body = {}) => modes.scopeFor(body.mode || 'smoke', body);
+
+// Durée max du run : RUN_TIMEOUTS > durée déclarée par le mode > RUN_DEFAULT_TIMEOUT_MS
+const runTimeout = (mode, body = {}) => RUN_TIMEOUTS[mode] || modes.timeoutFor(mode, body) || RUN_DEFAULT_TIMEOUT_MS;
 
-    await browser.close();
-    return res.json({ ok: true, url: videoUrl, selectors: { ...SEL }, counts, sample });
+// Exécute un mode dans son cadre commun : timeout global, annulation, libération garantie
+// des contexts, erreurs typées ; les artefacts retenus sont listés dans le résultat.
+async function runMode(mode, body, { signal } = {}) {
+  const checked = modes.validate(mode, body);
+  if (!checked.ok) return checked;
+  const artifacts = createRunArtifacts({
+    store: artifactStore, policy: artifactPolicy(body, ARTIFACTS_MODE), label: mode, trace: ARTIFACTS_TRACE,
+  });
+  const scope = createRunScope({
+    signal, timeoutMs: runTimeout(mode, body), artifacts, label: mode,
+  });
+  let result;
+  try {
+    result = await runInScope(scope, () => modes.get(mode).handler(body, scope));
   } catch (e) {
-    return res.json({ ok: false, error: e.message || String(e) });
+    result = errorResult(e, {}, scope);
   }
+  const saved = artifacts.list();
+  return saved.length ? { ...result, artifacts: saved } : result;
 }
 
-// --- fetch comments
-async function tiktokFetchComments(req, res) {
-  const { videoUrl, limit = 5, account = TTK_ACCOUNT, platform = TTK_PLATFORM } = req.body;
-  if (!videoUrl) return res.json({ ok: false, error: 'Missing "videoUrl"' });
+const jobs = createJobQueue({
+  run: (mode, input, { signal }) => runMode(mode, input, { signal }),
+  file: JOBS_FILE || null,
+  concurrency: JOB_CONCURRENCY,
+  defaultConcurrency: JOB_DEFAULT_CONCURRENCY,
+  historyMax: JOB_HISTORY_MAX,
+  resumable: (mode) => Boolean(modes.get(mode)?.resumable),
+  // brouillon approuvé → posted / failed selon l'issue du job de publication
+  onSettled: (job) => {
+    const draft = pendingReplies.findByJob(job.id);
+    if (!draft) return;
+    pendingReplies.update(draft.id, {
+      status: job.status === 'succeeded' ? 'posted' : 'failed',
+      result: job.result || { ok: false, error: job.error },
+    });
+  },
+});
 
-  try {
-    const { browser, page } = await getContextWithSession({ account, platform });
-    await page.goto(videoUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
-    await ensureCommentsOpen(page);
-    await hydrateComments(page, 14);
-
-    // Attends qu’au moins 1 item soit visible (si possible)
-    const anyItem = page.locator(SEL.item).first();
-    await anyItem.waitFor({ state: 'visible', timeout: 5000 }).catch(() => {});
-
-    const comments = await page.evaluate(({ SEL, limit }) => {
-      const pick = (el, selList) => {
-        for (const s of selList.split(',')) {
-          const t = el.querySelector(s.trim());
-          const val = t?.textContent?.trim();
-          if (val) return val;
-        }
-        return null;
-      };
+app.post('/run', auth.requireScope((req) => scopeForRun({ mode: 'smoke', ...req.body })), async (req, res) => {
+  const mode = req.body.mode || 'smoke';
+  // mode inconnu / payload invalide : refusé avant la file de jobs
+  const checked = modes.validate(mode, req.body);
+  if (!checked.ok) return res.status(httpStatus(checked)).json(checked);
+
+  if (req.body.async === true) {
+    const { async: _async, ...input } = req.body;
+    const job = jobs.enqueue(mode, { ...input, mode });
+    return res.status(202).json({ ok: true, jobId: job.id, status: job.status, mode });
+  }
 
-      const nodes =
-        Array.from(document.querySelectorAll(SEL.item)) ||
-        [];
-
-      return nodes.slice(0, limit).map((el, i) => {
-        const user = pick(el, SEL.user);
-        const text =
-          pick(el, SEL.text) ||
-          // dernier secours : coupe le texte de l’item
-          (el.textContent || '').trim();
-        return { index: i, user, text };
-      }).filter(x => x.user || x.text);
-    }, { SEL, limit });
-
-    await browser.close();
-    return res.json({ ok: true, count: comments.length, comments, url: videoUrl });
-  } catch (e) {
-    return res.json({ ok: false, error: e.message || String(e) });
+  const result = await runMode(mode, req.body);
+  return res.status(httpStatus(result)).json(result);
+});
+
+// Modes disponibles avec leurs schémas d'entrée / de sortie
+app.get('/modes', auth.requireScope('run:read'), (req, res) => {
+  // durée dérivée du body : valeur pour les options par défaut (un item pour les batchs)
+  const list = modes.list().map((m) => ({ ...m, timeoutMs: runTimeout(m.name) }));
+  return res.json({ ok: true, count: list.length, modes: list });
+});
+
+// Plugins de plateforme chargés et leurs modes
+app.get('/platforms', auth.requireScope('run:read'), (_req, res) => {
+  const list = platforms.describe().map((p) => ({ ...p, default: p.platform === DEFAULT_PLATFORM }));
+  return res.json({ ok: true, count: list.length, platforms: list });
+});
+
+// ---------- JOBS ----------
+const jobView = (job) => ({
+  ok: true,
+  jobId: job.id,
+  mode: job.mode,
+  status: job.status,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  error: job.error,
+  result: job.result,
+});
+
+// un job se consulte / s'annule avec le scope de son mode
+const jobScope = (req) => scopeForRun(jobs.get(req.params.id)?.input);
+
+app.get('/jobs/:id', auth.requireScope(jobScope), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+  return res.json(jobView(job));
+});
+
+app.delete('/jobs/:id', auth.requireScope(jobScope), (req, res) => {
+  const job = jobs.cancel(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+  return res.json(jobView(job));
+});
+
+// ---------- PENDING REPLIES ----------
+// Capture d'écran : artefact (screenshotId → /artifacts/:id) ; les brouillons plus anciens
+// la portent en data URL, renvoyée seulement par GET /replies/:id
+const draftView = ({ screenshot, screenshotId, ...d }, { withScreenshot = false } = {}) => ({
+  ...d,
+  hasScreenshot: Boolean(screenshotId || screenshot),
+  screenshotUrl: screenshotId ? `/artifacts/${screenshotId}` : null,
+  ...(withScreenshot && screenshot ? { screenshot } : {}),
+});
+
+app.get('/replies/pending', auth.requireScope('run:read'), (req, res) => {
+  const status = req.query.status || 'pending';
+  const drafts = pendingReplies.list({ status: status === 'all' ? undefined : status });
+  return res.json({ ok: true, count: drafts.length, drafts: drafts.map((d) => draftView(d)) });
+});
+
+app.get('/replies/:id', auth.requireScope('run:read'), (req, res) => {
+  const draft = pendingReplies.get(req.params.id);
+  if (!draft) return res.status(404).json({ ok: false, error: 'Draft not found' });
+  return res.json({ ok: true, draft: draftView(draft, { withScreenshot: true }) });
+});
+
+// Approuve → publie via la file de jobs (mode reply du brouillon, sur le commentaire résolu au dryRun).
+// body.replyText optionnel : texte corrigé par le relecteur.
+app.post('/replies/:id/approve', auth.requireScope('replies:approve'), (req, res) => {
+  const edited = req.body.replyText;
+  if (edited !== undefined && (typeof edited !== 'string' || !edited.trim())) {
+    return res.status(400).json(badRequest('Invalid "replyText"', { errors: [{ field: 'replyText', message: 'must be a non-empty string' }] }));
+  }
+  const draft = pendingReplies.get(req.params.id);
+  if (!draft) return res.status(404).json({ ok: false, error: 'Draft not found' });
+  if (draft.status !== 'pending') {
+    return res.status(409).json({ ok: false, error: `Draft is already ${draft.status}` });
   }
-}
 
-// --- reply
-async function tiktokReply(req, res) {
-  const {
-    videoUrl,
+  const { target } = draft;
+  // commentIndex : position instable, republié sur l'auteur / le texte relevés au dryRun
+  const targeting = target.via === 'commentIndex'
+    ? {
+      match: {
+        ...(target.user ? { author: target.user } : {}),
+        ...(target.text ? { textContains: target.text } : {}),
+      },
+    }
+    : { commentId: target.id };
+  if (target.via === 'commentIndex' && !target.user && !target.text) {
+    return res.status(409).json({ ok: false, error: 'Draft target has no author or text: it cannot be resolved, stage it again by commentId or match' });
+  }
+  const replyText = edited ?? draft.replyText;
+  const mode = draft.mode || 'tiktok.reply'; // brouillons antérieurs aux plugins : TikTok
+
+  const job = jobs.enqueue(mode, {
+    mode,
+    account: draft.account,
+    platform: draft.platform,
+    videoUrl: draft.videoUrl,
+    replyText,
+    ...targeting,
+  });
+  const updated = pendingReplies.update(draft.id, {
+    status: 'approved',
     replyText,
-    commentIndex = 0,
-    account = TTK_ACCOUNT,
-    platform = TTK_PLATFORM,
-  } = req.body;
+    jobId: job.id,
+    decidedAt: new Date().toISOString(),
+    decidedBy: req.apiKey?.name || null,
+  });
+  return res.status(202).json({ ok: true, draft: draftView(updated), jobId: job.id });
+});
 
-  if (!videoUrl || !replyText) {
-    return res.json({ ok: false, error: 'Missing "videoUrl" or "replyText"' });
+app.post('/replies/:id/reject', auth.requireScope('replies:approve'), (req, res) => {
+  const draft = pendingReplies.get(req.params.id);
+  if (!draft) return res.status(404).json({ ok: false, error: 'Draft not found' });
+  if (draft.status !== 'pending') {
+    return res.status(409).json({ ok: false, error: `Draft is already ${draft.status}` });
   }
+  const updated = pendingReplies.update(draft.id, {
+    status: 'rejected',
+    reason: (req.body && req.body.reason) || null,
+    decidedAt: new Date().toISOString(),
+    decidedBy: req.apiKey?.name || null,
+  });
+  return res.json({ ok: true, draft: draftView(updated) });
+});
 
+// --- smoke
+async function smokeRun(_body, scope = {}) {
   try {
-    const { browser, page } = await getContextWithSession({ account, platform });
-    await page.goto(videoUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
-    await ensureCommentsOpen(page);
-    await hydrateComments(page, 12);
-
-    // Bouton "Répondre"
-    const item = page.locator(SEL.item).nth(commentIndex);
-    await item.scrollIntoViewIfNeeded().catch(() => {});
-    const btn = item.locator(SEL.replyBtn).first();
-    await btn.click({ timeout: 10000 });
-
-    // Saisie
-    await closeBlockingOverlays(page);
-    const input = page.locator(SEL.input).first();
-    await input.click({ timeout: 8000 });
-    await input.fill(replyText);
-    await page.keyboard.press('Enter');
-
-    await page.waitForTimeout(1500);
-    await browser.close();
-    return res.json({ ok: true, videoUrl, commentIndex, replyText });
+    const { title, url } = await pool.withPage(
+      'smoke',
+      { contextOptions: { viewport: { width: 1280, height: 800 } }, signal: scope.signal },
+      async (page) => {
+        // timeout / annulation : fermer la page débloque la navigation ; withPage libère le reste
+        if (scope.signal?.aborted) throw scope.signal.reason;
+        const onAbort = () => page.close().catch(() => {});
+        scope.signal?.addEventListener('abort', onAbort, { once: true });
+        try {
+          await page.goto(SMOKE_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
+          return { title: await page.title(), url: page.url() };
+        } finally {
+          scope.signal?.removeEventListener('abort', onAbort);
+        }
+      },
+    );
+    return { ok: true, title, url };
   } catch (e) {
-    return res.json({ ok: false, error: e.message || String(e) });
+    return errorResult(e, {}, scope);
   }
 }
+
 // ============================================================
 
 // ---------- START ----------
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
+  sessionMonitor.start();
 });
 
+// ---------- SHUTDOWN ----------
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} reçu, arrêt propre…`);
+  server.close();
+  sessionMonitor.stop();
+  artifactStore.stop();
+  selectorConfig.stop();
+  jobs.shutdown();
+  await loginSessions.shutdown().catch((e) => console.error('loginSessions.shutdown:', e.message));
+  await pool.shutdown().catch((e) => console.error('pool.shutdown:', e.message));
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
@@ -0,0 +1,229 @@
+// lib/artifacts.js (CommonJS)
+// Artefacts de débogage d'un run : capture d'écran, HTML de la page, trace Playwright (zip).
+// Politique par run : off | failure (run non réussi) | always (debug: true).
+//
+// Stockage : dossier local (ARTIFACTS_DIR, défaut screenshots/) ou bucket Supabase Storage
+// (ARTIFACTS_BUCKET). Chaque artefact = contenu + métadonnées <id>.json ; rétention par âge
+// et par nombre, purge périodique.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const POLICIES = ['off', 'failure', 'always'];
+const ID_RE = /^[a-z0-9]+-[a-f0-9]{12}$/;
+
+const newId = () => `${Date.now().toString(36)}-${crypto.randomBytes(6).toString('hex')}`;
+const isArtifactId = (id) => ID_RE.test(String(id || ''));
+
+// ---------- BACKENDS ----------
+function createLocalBackend({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = (name) => path.join(dir, name);
+  return {
+    kind: 'local',
+    write: async (name, body) => fs.promises.writeFile(file(name), body, { mode: 0o600 }),
+    read: async (name) => fs.promises.readFile(file(name)).catch((e) => {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }),
+    remove: async (names) => Promise.all(names.map((n) => fs.promises.unlink(file(n)).catch(() => {}))),
+    listMeta: async () => (await fs.promises.readdir(dir)).filter((n) => n.endsWith('.json')),
+  };
+}
+
+function createBucketBackend({
+  url, serviceRoleKey, bucket, prefix = 'artifacts',
+}) {
+  if (!url || !serviceRoleKey) throw new Error('ARTIFACTS_BUCKET requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  const { createClient } = require('@supabase/supabase-js');
+  const supabase = createClient(url, serviceRoleKey, { auth: { persistSession: false } });
+  const storage = () => supabase.storage.from(bucket);
+  const key = (name) => `${prefix}/${name}`;
+  return {
+    kind: 'bucket',
+    write: async (name, body, contentType) => {
+      const { error } = await storage().upload(key(name), body, { contentType, upsert: true });
+      if (error) throw error;
+    },
+    read: async (name) => {
+      const { data, error } = await storage().download(key(name));
+      if (error) return null;
+      return Buffer.from(await data.arrayBuffer());
+    },
+    remove: async (names) => {
+      if (!names.length) return;
+      const { error } = await storage().remove(names.map(key));
+      if (error) throw error;
+    },
+    listMeta: async () => {
+      const { data, error } = await storage().list(prefix, { limit: 10000 });
+      if (error) throw error;
+      return (data || []).map((o) => o.name).filter((n) => n.endsWith('.json'));
+    },
+  };
+}
+
+// ---------- STORE ----------
+function createArtifactStore({
+  dir = 'screenshots',
+  bucket = null,
+  supabaseUrl = null,
+  serviceRoleKey = null,
+  retentionMs = 72 * 3600e3,
+  maxCount = 500,
+  sweepMs = 15 * 60 * 1000,
+} = {}) {
+  const backend = bucket
+    ? createBucketBackend({ url: supabaseUrl, serviceRoleKey, bucket })
+    : createLocalBackend({ dir });
+
+  // kind : screenshot | html | trace
+  async function put({
+    kind, ext, contentType, body, meta = {},
+  }) {
+    const id = newId();
+    const record = {
+      id,
+      kind,
+      file: `${id}.${ext}`,
+      contentType,
+      size: body.length,
+      createdAt: new Date().toISOString(),
+      ...meta,
+    };
+    await backend.write(record.file, body, contentType);
+    await backend.write(`${id}.json`, JSON.stringify(record, null, 2), 'application/json');
+    return record;
+  }
+
+  async function get(id) {
+    if (!isArtifactId(id)) return null;
+    const raw = await backend.read(`${id}.json`);
+    if (!raw) return null;
+    const record = JSON.parse(raw.toString('utf8'));
+    const body = await backend.read(record.file);
+    return body ? { record, body } : null;
+  }
+
+  // Purge : plus vieux que retentionMs, puis au-delà de maxCount (les plus anciens d'abord)
+  async function sweep() {
+    const metas = await backend.listMeta();
+    const records = [];
+    for (const name of metas) {
+      const raw = await backend.read(name).catch(() => null);
+      if (!raw) continue;
+      try {
+        records.push(JSON.parse(raw.toString('utf8')));
+      } catch (_) {}
+    }
+    records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const now = Date.now();
+    const excess = Math.max(0, records.length - maxCount);
+    const doomed = records.filter((r, i) => i < excess || now - Date.parse(r.createdAt) > retentionMs);
+    await backend.remove(doomed.flatMap((r) => [r.file, `${r.id}.json`]));
+    return { kept: records.length - doomed.length, removed: doomed.length };
+  }
+
+  let timer = null;
+  if (sweepMs) {
+    timer = setInterval(() => {
+      sweep().catch((e) => console.error('[artifacts] sweep:', e.message));
+    }, sweepMs);
+    timer.unref();
+  }
+  const stop = () => timer && clearInterval(timer);
+
+  return {
+    kind: backend.kind, put, get, sweep, stop, retentionMs, maxCount,
+  };
+}
+
+// ---------- COLLECTE PAR RUN ----------
+// attach() au début du run (démarre la trace), finish() avant la fermeture de la page.
+// trace : opt-in (ARTIFACTS_TRACE) — le zip contient les requêtes réseau avec leurs cookies.
+function createRunArtifacts({
+  store, policy = 'off', label = null, trace = false,
+}) {
+  let context = null;
+  let page = null;
+  let tracing = false;
+  const saved = [];
+
+  async function attach(ctx, pg) {
+    context = ctx;
+    page = pg;
+    if (policy === 'off' || !trace) return;
+    try {
+      await ctx.tracing.start({ screenshots: true, snapshots: true });
+      tracing = true;
+    } catch (e) {
+      // context partagé déjà tracé par un run concurrent du même account : pas de trace
+      console.warn(`[artifacts] trace unavailable (${label}): ${e.message}`);
+    }
+  }
+
+  async function finish({ failed = false } = {}) {
+    if (!context) return saved;
+    const keep = policy === 'always' || (policy === 'failure' && failed);
+    const meta = {
+      label, reason: failed ? 'failure' : 'debug', url: page && !page.isClosed() ? page.url() : null,
+    };
+    const save = async (artifact) => {
+      try {
+        saved.push(await store.put({ ...artifact, meta }));
+      } catch (e) {
+        console.error(`[artifacts] ${artifact.kind} (${label}):`, e.message);
+      }
+    };
+
+    if (keep && page && !page.isClosed()) {
+      const png = await page.screenshot({ fullPage: false, timeout: 10000 }).catch(() => null);
+      if (png) await save({ kind: 'screenshot', ext: 'png', contentType: 'image/png', body: png });
+      const html = await page.content().catch(() => null);
+      if (html) await save({ kind: 'html', ext: 'html', contentType: 'text/html; charset=utf-8', body: Buffer.from(html) });
+    }
+    if (tracing) {
+      tracing = false;
+      if (keep) {
+        const tmp = path.join(os.tmpdir(), `trace-${newId()}.zip`);
+        try {
+          await context.tracing.stop({ path: tmp });
+          await save({ kind: 'trace', ext: 'zip', contentType: 'application/zip', body: await fs.promises.readFile(tmp) });
+        } catch (e) {
+          console.error(`[artifacts] trace (${label}):`, e.message);
+        } finally {
+          await fs.promises.unlink(tmp).catch(() => {});
+        }
+      } else {
+        await context.tracing.stop().catch(() => {});
+      }
+    }
+    return saved;
+  }
+
+  const list = () => saved.map((r) => ({
+    id: r.id, kind: r.kind, contentType: r.contentType, size: r.size, url: `/artifacts/${r.id}`,
+  }));
+
+  return {
+    policy, attach, finish, list,
+  };
+}
+
+// Politique effective : body.artifacts > body.debug > défaut (ARTIFACTS_MODE)
+function artifactPolicy(body = {}, fallback = 'off') {
+  if (POLICIES.includes(body.artifacts)) return body.artifacts;
+  if (body.artifacts === false) return 'off';
+  if (body.debug === true) return 'always';
+  return POLICIES.includes(fallback) ? fallback : 'off';
+}
+
+module.exports = {
+  POLICIES,
+  isArtifactId,
+  createArtifactStore,
+  createRunArtifacts,
+  artifactPolicy,
+};
@@ -0,0 +1,128 @@
+// lib/auth.js (CommonJS)
+// Authentification par clé d'API (Authorization: Bearer <key> ou X-API-Key)
+// avec scopes par clé : sessions:write, run:read, run:write, selectors:write, artifacts:read, ... ("*" = tout).
+//
+// Sources des clés :
+//  - API_KEYS (env, JSON) : [{ "name": "n8n", "key": "…", "scopes": ["run:read"] }]
+//    ("key_hash" = sha256 hex accepté à la place de "key")
+//  - store.listApiKeys() si le session store le propose (rechargé toutes les 60 s)
+
+const crypto = require('crypto');
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+// Normalise une entrée de config → { name, hash, scopes }
+function normalizeKey(k, i) {
+  if (!k || (!k.key && !k.key_hash)) throw new Error(`API key #${i}: "key" or "key_hash" is required`);
+  return {
+    name: k.name || `key-${i}`,
+    hash: (k.key_hash || sha256(k.key)).toLowerCase(),
+    scopes: Array.isArray(k.scopes) ? k.scopes.map(String) : [],
+    disabled: Boolean(k.disabled),
+  };
+}
+
+function parseApiKeys(str = '') {
+  if (!String(str).trim()) return [];
+  let list;
+  try {
+    list = JSON.parse(str);
+  } catch (e) {
+    throw new Error(`API_KEYS must be a JSON array: ${e.message}`);
+  }
+  if (!Array.isArray(list)) throw new Error('API_KEYS must be a JSON array');
+  return list.map(normalizeKey);
+}
+
+const hasScope = (scopes, scope) => scopes.includes('*') || scopes.includes(scope);
+
+function createAuth({ envKeys = [], store = null, disabled = false, refreshMs = 60 * 1000 } = {}) {
+  let storeKeys = [];
+  let storeLoadedAt = 0;
+  let storeLoading = null;
+  let emptyWarned = false;
+
+  // Sans aucune clé (env ni store), toutes les requêtes finissent en 401 : on le signale une fois
+  const warnIfEmpty = () => {
+    if (disabled || emptyWarned || envKeys.length + storeKeys.length) return;
+    emptyWarned = true;
+    console.warn('[auth] aucune clé API configurée (API_KEYS ni store) : toutes les requêtes seront refusées');
+  };
+
+  async function refreshStoreKeys() {
+    if (!store || typeof store.listApiKeys !== 'function') return warnIfEmpty();
+    if (Date.now() - storeLoadedAt < refreshMs) return;
+    if (!storeLoading) {
+      storeLoading = store.listApiKeys()
+        .then((list) => {
+          storeKeys = (list || []).map(normalizeKey);
+          storeLoadedAt = Date.now();
+        })
+        .catch((e) => {
+          // on garde les clés connues et on ne réessaie qu'au prochain intervalle
+          storeLoadedAt = Date.now();
+          console.error('[auth] listApiKeys:', e.message);
+        })
+        .finally(() => {
+          storeLoading = null;
+          warnIfEmpty();
+        });
+    }
+    await storeLoading;
+  }
+
+  async function findKey(token) {
+    await refreshStoreKeys();
+    const hash = Buffer.from(sha256(token), 'hex');
+    for (const k of [...envKeys, ...storeKeys]) {
+      const candidate = Buffer.from(k.hash, 'hex');
+      if (candidate.length === hash.length && crypto.timingSafeEqual(candidate, hash)) return k;
+    }
+    return null;
+  }
+
+  const tokenFrom = (req) => {
+    const h = req.headers.authorization || '';
+    const m = /^Bearer\s+(.+)$/i.exec(h);
+    if (m) return m[1].trim();
+    return (req.headers['x-api-key'] || '').trim() || null;
+  };
+
+  const deny = (req, res, status, reason, extra = {}) => {
+    console.warn(`[auth] ${status} ${req.method} ${req.originalUrl} ip=${req.ip} key=${extra.key || '-'} reason=${reason}`);
+    return res.status(status).json({
+      ok: false,
+      error: status === 401 ? 'Unauthorized' : 'Forbidden',
+      code: status === 401 ? 'UNAUTHORIZED' : 'FORBIDDEN',
+      reason,
+      ...(extra.required ? { required: extra.required } : {}),
+    });
+  };
+
+  // scope : string ou (req) => string
+  function requireScope(scope) {
+    return async (req, res, next) => {
+      if (disabled) return next();
+      const required = typeof scope === 'function' ? scope(req) : scope;
+
+      const token = tokenFrom(req);
+      if (!token) return deny(req, res, 401, 'missing_api_key');
+
+      const key = await findKey(token);
+      if (!key) return deny(req, res, 401, 'invalid_api_key');
+      if (key.disabled) return deny(req, res, 401, 'disabled_api_key', { key: key.name });
+      if (!hasScope(key.scopes, required)) {
+        return deny(req, res, 403, 'missing_scope', { key: key.name, required });
+      }
+
+      req.apiKey = { name: key.name, scopes: key.scopes };
+      return next();
+    };
+  }
+
+  const keyCount = () => envKeys.length + storeKeys.length;
+
+  return { requireScope, keyCount, refresh: refreshStoreKeys, disabled };
+}
+
+module.exports = { createAuth, parseApiKeys, hasScope, sha256 };
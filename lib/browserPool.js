@@ -0,0 +1,259 @@
+// lib/browserPool.js (CommonJS)
+// Pool de navigateurs : un seul Chromium long-vivant, un BrowserContext isolé
+// par clé (ex: "tiktok:rab.le.dr.numerique"), concurrence max et éviction idle.
+// Attente d'un slot bornée (waitTimeoutMs) et abandonnée si le signal du run est annulé.
+
+const { chromium } = require('playwright');
+const { runError } = require('./runErrors');
+
+function createBrowserPool({
+  headless = true,
+  maxConcurrency = 2,
+  idleMs = 5 * 60 * 1000,
+  waitTimeoutMs = 60 * 1000, // attente max d'un slot (0 = illimitée)
+  launchOptions = {},
+} = {}) {
+  let browser = null;
+  let launching = null;
+  let closing = false;
+
+  const contexts = new Map(); // key -> { context, creating, leases, lastUsed, createdAt }
+  const waiters = [];         // file d'attente des acquire() en surnombre
+  const detached = new Set(); // contexts hors slots (openContext), fermés par leur propriétaire
+  let active = 0;
+  let launches = 0;
+
+  // ---------- BROWSER ----------
+  async function getBrowser() {
+    if (closing) throw new Error('Browser pool is shutting down');
+    if (browser && browser.isConnected()) return browser;
+    if (!launching) {
+      launching = chromium.launch({ headless, ...launchOptions })
+        .then((b) => {
+          launches++;
+          browser = b;
+          b.on('disconnected', () => {
+            // crash ou close : on oublie tous les contexts associés
+            if (browser === b) browser = null;
+            contexts.clear();
+          });
+          return b;
+        })
+        .finally(() => { launching = null; });
+    }
+    return launching;
+  }
+
+  // ---------- SLOTS (concurrence max) ----------
+  // signal : run annulé / timeout → l'attente est abandonnée (rejet avec signal.reason)
+  // waitTimeoutMs dépassé → POOL_BUSY (503)
+  function takeSlot({ signal = null, waitTimeoutMs: waitMs = waitTimeoutMs } = {}) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    if (active < maxConcurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const onAbort = () => leave(signal.reason);
+      const waiter = {
+        resolve: () => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        },
+        reject,
+      };
+      // retire l'attente de la file (le slot n'a pas été attribué)
+      function leave(err) {
+        const i = waiters.indexOf(waiter);
+        if (i === -1) return;
+        waiters.splice(i, 1);
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        reject(err);
+      }
+      if (waitMs > 0) {
+        timer = setTimeout(() => leave(runError(
+          'POOL_BUSY',
+          `No browser slot free after ${waitMs} ms (${active}/${maxConcurrency} in use, ${waiters.length} waiting)`,
+        )), waitMs);
+        timer.unref();
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+      waiters.push(waiter);
+    });
+  }
+
+  function freeSlot() {
+    const next = waiters.shift();
+    if (next) return next.resolve(); // le slot passe directement au suivant
+    active = Math.max(0, active - 1);
+  }
+
+  // ---------- CONTEXTS ----------
+  async function getContext(key, { contextOptions = {}, setup } = {}) {
+    let entry = contexts.get(key);
+    if (entry && entry.context) return entry;
+    if (entry && entry.creating) {
+      await entry.creating;
+      return contexts.get(key) || getContext(key, { contextOptions, setup });
+    }
+
+    entry = { context: null, creating: null, leases: 0, retired: false, lastUsed: Date.now(), createdAt: Date.now() };
+    contexts.set(key, entry);
+
+    entry.creating = (async () => {
+      const b = await getBrowser();
+      const context = await b.newContext(contextOptions);
+      try {
+        if (setup) await setup(context);
+      } catch (e) {
+        await context.close().catch(() => {});
+        throw e;
+      }
+      context.on('close', () => {
+        if (contexts.get(key) === entry) contexts.delete(key);
+      });
+      entry.context = context;
+    })();
+
+    try {
+      await entry.creating;
+    } catch (e) {
+      if (contexts.get(key) === entry) contexts.delete(key);
+      throw e;
+    } finally {
+      entry.creating = null;
+    }
+    return entry;
+  }
+
+  // Réserve un slot + le context de `key`. Toujours appeler release().
+  // opts : { contextOptions, setup, signal, waitTimeoutMs }
+  async function acquire(key, opts = {}) {
+    await takeSlot(opts);
+    let entry;
+    try {
+      entry = await getContext(key, opts);
+    } catch (e) {
+      freeSlot();
+      throw e;
+    }
+    entry.leases++;
+    entry.lastUsed = Date.now();
+
+    let released = false;
+    const release = async () => {
+      if (released) return;
+      released = true;
+      entry.leases = Math.max(0, entry.leases - 1);
+      entry.lastUsed = Date.now();
+      if (entry.retired && entry.leases === 0 && entry.context) {
+        await entry.context.close().catch(() => {});
+      }
+      freeSlot();
+    };
+    // retired() : context retiré depuis (invalidate) — son état ne fait plus référence
+    return { context: entry.context, release, retired: () => entry.retired };
+  }
+
+  // Context dédié hors slots et hors cache (ex: connexion à distance, longue et interactive) :
+  // ne compte pas dans maxConcurrency, le propriétaire borne lui-même leur nombre.
+  async function openContext(contextOptions = {}) {
+    const b = await getBrowser();
+    const context = await b.newContext(contextOptions);
+    detached.add(context);
+    context.on('close', () => detached.delete(context));
+    let closed = false;
+    const close = async () => {
+      if (closed) return;
+      closed = true;
+      detached.delete(context);
+      await context.close().catch(() => {});
+    };
+    return { context, close };
+  }
+
+  // Variante pratique : ouvre une page, la ferme et libère le slot en fin de course
+  async function withPage(key, opts, fn) {
+    const lease = await acquire(key, opts);
+    let page = null;
+    try {
+      page = await lease.context.newPage();
+      return await fn(page, lease.context);
+    } finally {
+      if (page) await page.close().catch(() => {});
+      await lease.release();
+    }
+  }
+
+  // Retire le context d'une clé (ex: cookies mis à jour). Les leases en cours
+  // terminent sur l'ancien context, fermé au dernier release().
+  async function invalidate(key) {
+    const entry = contexts.get(key);
+    if (!entry) return false;
+    contexts.delete(key);
+    entry.retired = true;
+    if (entry.creating) await entry.creating.catch(() => {});
+    if (entry.context && entry.leases === 0) await entry.context.close().catch(() => {});
+    return true;
+  }
+
+  // ---------- ÉVICTION IDLE ----------
+  const sweeper = setInterval(async () => {
+    const now = Date.now();
+    for (const [key, entry] of contexts) {
+      if (entry.context && entry.leases === 0 && now - entry.lastUsed > idleMs) {
+        await invalidate(key);
+      }
+    }
+    // plus aucun context ni lease : on libère aussi Chromium
+    if (browser && contexts.size === 0 && active === 0 && detached.size === 0) {
+      const b = browser;
+      browser = null;
+      await b.close().catch(() => {});
+    }
+  }, Math.max(1000, Math.min(idleMs, 60 * 1000)));
+  sweeper.unref();
+
+  // ---------- SHUTDOWN ----------
+  async function shutdown() {
+    closing = true;
+    clearInterval(sweeper);
+    while (waiters.length) waiters.shift().reject(new Error('Browser pool is shutting down'));
+    for (const key of Array.from(contexts.keys())) await invalidate(key);
+    for (const context of Array.from(detached)) await context.close().catch(() => {});
+    detached.clear();
+    if (launching) await launching.catch(() => {});
+    if (browser) await browser.close().catch(() => {});
+    browser = null;
+  }
+
+  function stats() {
+    const now = Date.now();
+    return {
+      browserConnected: Boolean(browser && browser.isConnected()),
+      launches,
+      maxConcurrency,
+      active,
+      waiting: waiters.length,
+      waitTimeoutMs,
+      detached: detached.size,
+      idleMs,
+      contexts: Array.from(contexts.entries()).map(([key, e]) => ({
+        key,
+        leases: e.leases,
+        ready: Boolean(e.context),
+        idleForMs: e.leases ? 0 : now - e.lastUsed,
+        ageMs: now - e.createdAt,
+      })),
+    };
+  }
+
+  return {
+    acquire, openContext, withPage, invalidate, shutdown, stats, getBrowser,
+  };
+}
+
+module.exports = { createBrowserPool };
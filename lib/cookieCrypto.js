@@ -0,0 +1,135 @@
+// lib/cookieCrypto.js (CommonJS)
+// Chiffrement des valeurs de cookies au repos (AES-256-GCM, trousseau de clés).
+//
+// COOKIE_ENC_KEYS   = "k1:<base64 32 octets>,k2:<base64 32 octets>"
+// COOKIE_ENC_KEY_ID = k2   (clé active pour chiffrer ; défaut : la dernière listée)
+//
+// Format d'une valeur chiffrée : enc:v1:<keyId>:<iv>:<tag>:<ciphertext> (base64url)
+// Les valeurs sans préfixe sont du clair hérité : relues telles quelles.
+// storage_state (localStorage, IndexedDB, sessionStorage) est chiffré d'un bloc (JSON),
+// le mot de passe du proxy (profile.proxy.password) seul.
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+
+const isEncrypted = (v) => typeof v === 'string' && v.startsWith(PREFIX);
+const keyIdOf = (v) => (isEncrypted(v) ? v.slice(PREFIX.length).split(':')[0] : null);
+
+// "k1:base64,k2:base64" → Map(keyId → Buffer)
+function parseKeys(str = '') {
+  const keys = new Map();
+  for (const part of String(str).split(',').map((x) => x.trim()).filter(Boolean)) {
+    const i = part.indexOf(':');
+    if (i <= 0) throw new Error('COOKIE_ENC_KEYS: expected "keyId:base64Key" entries');
+    const id = part.slice(0, i);
+    const key = Buffer.from(part.slice(i + 1), 'base64');
+    if (key.length !== 32) throw new Error(`COOKIE_ENC_KEYS: key "${id}" must be 32 bytes (base64)`);
+    keys.set(id, key);
+  }
+  return keys;
+}
+
+function createCookieCipher({ keys = new Map(), activeKeyId } = {}) {
+  const active = activeKeyId || Array.from(keys.keys()).pop() || null;
+  if (active && !keys.has(active)) throw new Error(`COOKIE_ENC_KEY_ID "${active}" not found in COOKIE_ENC_KEYS`);
+
+  function encryptValue(value) {
+    if (!active) return value;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(active), iv);
+    const ct = Buffer.concat([cipher.update(String(value ?? ''), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return PREFIX + [active, iv.toString('base64url'), tag.toString('base64url'), ct.toString('base64url')].join(':');
+  }
+
+  function decryptValue(value) {
+    if (!isEncrypted(value)) return value;
+    const [id, iv, tag, ct] = value.slice(PREFIX.length).split(':');
+    const key = keys.get(id);
+    if (!key) throw new Error(`Cookie encrypted with unknown key id "${id}"`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(ct, 'base64url')), decipher.final()]).toString('utf8');
+  }
+
+  const mapValues = (list, fn) => (Array.isArray(list)
+    ? list.map((c) => (c && c.value !== undefined ? { ...c, value: fn(c.value) } : c))
+    : list);
+
+  const encryptCookies = (list) => mapValues(list, (v) => (isEncrypted(v) ? v : encryptValue(v)));
+  const decryptCookies = (list) => mapValues(list, decryptValue);
+
+  // Objet JSON entier → une seule valeur chiffrée (string)
+  const encryptJson = (obj) => {
+    if (!active || obj === null || obj === undefined || isEncrypted(obj)) return obj;
+    return encryptValue(JSON.stringify(obj));
+  };
+  const decryptJson = (v) => (isEncrypted(v) ? JSON.parse(decryptValue(v)) : v);
+
+  // true si la liste contient du clair ou une clé autre que l'active
+  const needsRewrite = (list) => Boolean(active) && Array.isArray(list)
+    && list.some((c) => c && c.value !== undefined && keyIdOf(c.value) !== active);
+  const jsonNeedsRewrite = (v) => Boolean(active) && v !== null && v !== undefined && keyIdOf(v) !== active;
+  const valueNeedsRewrite = (v) => Boolean(active) && typeof v === 'string' && Boolean(v) && keyIdOf(v) !== active;
+
+  return {
+    enabled: Boolean(active),
+    activeKeyId: active,
+    encryptValue,
+    decryptValue,
+    encryptCookies,
+    decryptCookies,
+    encryptJson,
+    decryptJson,
+    needsRewrite,
+    jsonNeedsRewrite,
+    valueNeedsRewrite,
+  };
+}
+
+const createCookieCipherFromEnv = (env = process.env) => createCookieCipher({
+  keys: parseKeys(env.COOKIE_ENC_KEYS || ''),
+  activeKeyId: env.COOKIE_ENC_KEY_ID || undefined,
+});
+
+// profile.proxy.password transformé par fn (le reste du profil reste lisible)
+const mapProxyPassword = (profile, fn) => (profile?.proxy?.password
+  ? { ...profile, proxy: { ...profile.proxy, password: fn(profile.proxy.password) } }
+  : profile);
+
+// Enveloppe un session store : chiffre `cookies`, `storage_state` et le mot de passe
+// du proxy à l'écriture, déchiffre à la lecture
+function withCookieEncryption(store, cipher) {
+  const decryptRow = (row) => {
+    if (!row) return row;
+    const out = { ...row, cookies: cipher.decryptCookies(row.cookies) };
+    if (row.storage_state !== undefined) out.storage_state = cipher.decryptJson(row.storage_state);
+    if (row.profile !== undefined) out.profile = mapProxyPassword(row.profile, cipher.decryptValue);
+    return out;
+  };
+  const encryptRow = (row) => {
+    const out = { ...row };
+    if (row.cookies) out.cookies = cipher.encryptCookies(row.cookies);
+    if (row.storage_state) out.storage_state = cipher.encryptJson(row.storage_state);
+    if (row.profile) out.profile = mapProxyPassword(row.profile, (v) => (isEncrypted(v) ? v : cipher.encryptValue(v)));
+    return out;
+  };
+
+  return {
+    ...store,
+    encrypted: cipher.enabled,
+    upsert: async (row) => decryptRow(await store.upsert(encryptRow(row))),
+    load: async (platform, account) => decryptRow(await store.load(platform, account)),
+    list: async () => (await store.list()).map(decryptRow),
+  };
+}
+
+module.exports = {
+  isEncrypted,
+  keyIdOf,
+  parseKeys,
+  createCookieCipher,
+  createCookieCipherFromEnv,
+  withCookieEncryption,
+};
@@ -0,0 +1,192 @@
+// lib/cookieImport.js (CommonJS)
+// Import de cookies multi-formats pour /auth/set-cookies, avec auto-détection :
+//   cookie-editor    [{ name, value, domain, expirationDate, hostOnly, sameSite, ... }]
+//   editthiscookie   idem + "id" numérique, sameSite "unspecified"
+//   playwright       [{ name, value, domain, path, expires, sameSite: "Lax" }]
+//   storageState     { cookies: [...playwright], origins: [{ origin, localStorage }] }
+//   netscape         cookies.txt (domain \t flag \t path \t secure \t expiry \t name \t value)
+//   header           "Cookie: a=b; c=d" ou "a=b; c=d"
+//
+// Sortie : cookies normalisés au format Cookie-Editor + warnings par cookie.
+
+const { fromPlaywrightCookie } = require('./cookies');
+
+const FORMATS = ['cookie-editor', 'editthiscookie', 'playwright', 'storageState', 'netscape', 'header'];
+const KNOWN_SAME_SITE = new Set(['lax', 'strict', 'none', 'no_restriction', 'unspecified']);
+
+// ---------- DÉTECTION ----------
+function detectFormat(input) {
+  if (Array.isArray(input)) {
+    const first = input.find((c) => c && typeof c === 'object') || {};
+    if (typeof first.id === 'number' || first.sameSite === 'unspecified') return 'editthiscookie';
+    if ('expires' in first && !('expirationDate' in first)) return 'playwright';
+    return 'cookie-editor';
+  }
+  if (input && typeof input === 'object' && Array.isArray(input.cookies)) return 'storageState';
+  if (typeof input === 'string') {
+    const s = input.trim();
+    if (/^#\s*(Netscape )?HTTP Cookie File/im.test(s) || /^[^\s#][^\t\n]*\t(TRUE|FALSE)\t/im.test(s)) return 'netscape';
+    if (/^cookie:/i.test(s) || /^[^=;\s]+=/.test(s)) return 'header';
+  }
+  return null;
+}
+
+// Forme attendue de l'entrée par format (format forcé qui ne correspond pas → message clair)
+const isCookieList = (input) => Array.isArray(input);
+const SHAPES = {
+  'cookie-editor': { test: isCookieList, expected: 'a JSON array of cookie objects' },
+  editthiscookie: { test: isCookieList, expected: 'a JSON array of cookie objects' },
+  playwright: { test: isCookieList, expected: 'a JSON array of cookie objects' },
+  storageState: {
+    test: (input) => Boolean(input) && typeof input === 'object' && !Array.isArray(input) && Array.isArray(input.cookies),
+    expected: 'an object { cookies: [...], origins: [...] }',
+  },
+  netscape: { test: (input) => typeof input === 'string', expected: 'cookies.txt text' },
+  header: { test: (input) => typeof input === 'string', expected: 'a "a=b; c=d" string' },
+};
+
+const describeInput = (input) => {
+  if (Array.isArray(input)) return 'an array';
+  if (input === null) return 'null';
+  return typeof input === 'object' ? 'an object' : `a ${typeof input}`;
+};
+
+// ---------- PARSERS → forme Cookie-Editor ----------
+function parseNetscape(text) {
+  const out = [];
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    let line = rawLine.trim();
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) {
+      httpOnly = true;
+      line = line.slice('#HttpOnly_'.length);
+    } else if (!line || line.startsWith('#')) {
+      continue;
+    }
+    const parts = line.split('\t');
+    if (parts.length < 7) continue;
+    const [domain, includeSub, path, secure, expiry, name, ...rest] = parts;
+    const exp = Number(expiry);
+    out.push({
+      domain,
+      ...(exp > 0 ? { expirationDate: exp } : {}),
+      hostOnly: includeSub.toUpperCase() !== 'TRUE',
+      httpOnly,
+      name,
+      path: path || '/',
+      sameSite: null,
+      secure: secure.toUpperCase() === 'TRUE',
+      session: !(exp > 0),
+      storeId: null,
+      value: rest.join('\t'),
+    });
+  }
+  return out;
+}
+
+function parseHeader(text, { defaultDomain }) {
+  const s = String(text).trim().replace(/^cookie:\s*/i, '');
+  return s.split(';')
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map((p) => {
+      const i = p.indexOf('=');
+      return {
+        domain: defaultDomain,
+        hostOnly: false,
+        httpOnly: false,
+        name: i === -1 ? p : p.slice(0, i).trim(),
+        path: '/',
+        sameSite: null,
+        secure: true,
+        session: true,
+        storeId: null,
+        value: i === -1 ? '' : p.slice(i + 1).trim(),
+      };
+    });
+}
+
+const fromEditThisCookie = ({ id, ...c }) => ({
+  ...c,
+  sameSite: c.sameSite === 'unspecified' ? null : c.sameSite,
+});
+
+// ---------- VALIDATION ----------
+// Corrige ce qui peut l'être (ms → s, sameSite inconnu) et signale le reste
+function validate(cookies, { now = Date.now() } = {}) {
+  const warnings = [];
+  const kept = [];
+  const warn = (index, name, code, message) => warnings.push({ index, name, code, message });
+
+  cookies.forEach((raw, index) => {
+    if (!raw || typeof raw.name !== 'string' || !raw.name.length) {
+      warn(index, raw?.name ?? null, 'invalid_cookie', 'Missing cookie name: dropped');
+      return;
+    }
+    if (raw.value === undefined || raw.value === null) {
+      warn(index, raw.name, 'invalid_cookie', 'Missing cookie value: dropped');
+      return;
+    }
+    const c = { ...raw, value: String(raw.value) };
+
+    if (c.sameSite !== undefined && c.sameSite !== null) {
+      const ss = String(c.sameSite).toLowerCase();
+      if (!KNOWN_SAME_SITE.has(ss)) {
+        warn(index, c.name, 'invalid_same_site', `Unknown sameSite "${c.sameSite}": ignored`);
+        c.sameSite = null;
+      } else if ((ss === 'none' || ss === 'no_restriction') && !c.secure) {
+        warn(index, c.name, 'same_site_none_insecure', 'sameSite=None requires secure: forced to secure');
+        c.secure = true;
+      }
+    }
+
+    let exp = Number(c.expirationDate);
+    if (c.expirationDate !== undefined && Number.isFinite(exp) && exp > 0) {
+      if (exp > 1e12) {
+        warn(index, c.name, 'expiry_in_ms', 'expirationDate looks like milliseconds: converted to seconds');
+        exp = Math.floor(exp / 1000);
+        c.expirationDate = exp;
+      }
+      if (exp * 1000 < now) {
+        warn(index, c.name, 'expired', `Cookie expired on ${new Date(exp * 1000).toISOString()}`);
+      }
+    }
+    kept.push(c);
+  });
+
+  return { cookies: kept, warnings };
+}
+
+// ---------- ENTRÉE ----------
+// input : tableau, objet storageState, ou texte (JSON, cookies.txt, header)
+function parseCookieImport(input, { format = null, defaultDomain = '.tiktok.com' } = {}) {
+  if (typeof input === 'string' && /^\s*[[{]/.test(input)) {
+    try {
+      input = JSON.parse(input);
+    } catch (e) {
+      throw new Error(`Cookies look like JSON but do not parse: ${e.message}`);
+    }
+  }
+  const fmt = format || detectFormat(input);
+  if (!fmt || !FORMATS.includes(fmt)) {
+    throw new Error(`Unrecognized cookie format (expected one of: ${FORMATS.join(', ')})`);
+  }
+  if (!SHAPES[fmt].test(input)) {
+    throw new Error(`Format "${fmt}" expects ${SHAPES[fmt].expected}, got ${describeInput(input)}`);
+  }
+
+  let cookies;
+  let origins = null;
+  if (fmt === 'cookie-editor') cookies = input;
+  else if (fmt === 'editthiscookie') cookies = input.map((c) => (c ? fromEditThisCookie(c) : c));
+  else if (fmt === 'playwright') cookies = input.map((c) => (c ? fromPlaywrightCookie(c) : c));
+  else if (fmt === 'storageState') {
+    cookies = input.cookies.map((c) => (c ? fromPlaywrightCookie(c) : c));
+    origins = Array.isArray(input.origins) ? input.origins : [];
+  } else if (fmt === 'netscape') cookies = parseNetscape(input);
+  else if (fmt === 'header') cookies = parseHeader(input, { defaultDomain });
+
+  return { format: fmt, ...validate(cookies), origins };
+}
+
+module.exports = { FORMATS, detectFormat, parseCookieImport };
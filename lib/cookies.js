@@ -0,0 +1,163 @@
+// lib/cookies.js (CommonJS)
+// Conversions de cookies : export Cookie-Editor ⇄ cookies Playwright, flags de debug,
+// fusion du cookie jar rafraîchi avec la session stockée.
+// baseUrl : URL d'accueil de la plateforme (plugin), slash final.
+
+const mapSameSite = (v) => {
+  if (v === undefined || v === null) return undefined;
+  const s = String(v).toLowerCase();
+  if (s === 'lax') return 'Lax';
+  if (s === 'strict') return 'Strict';
+  if (s === 'no_restriction' || s === 'none') return 'None';
+  return undefined;
+};
+
+// Convertit un export Cookie-Editor → cookies Playwright en gardant domain/path.
+// Playwright veut soit { url }, soit { domain, path } :
+//  - hostOnly        → domain sans point initial (cookie limité à l'hôte)
+//  - sinon           → domain préfixé d'un point (sous-domaines inclus)
+//  - pas de domain   → url de la plateforme (baseUrl), écarté sans baseUrl
+//  - préfixe __Host- → url (le navigateur interdit l'attribut Domain)
+// report.normalized / report.dropped listent chaque ajustement avec sa raison.
+function toPlaywrightCookies(raw = [], { baseUrl = null, now = Date.now() } = {}) {
+  const report = { normalized: [], dropped: [] };
+  const note = (list, c, reason) => list.push({ name: c?.name ?? null, domain: c?.domain ?? null, reason });
+  const cookies = [];
+
+  for (const c of raw || []) {
+    if (!c || typeof c.name !== 'string' || !c.name.length) { note(report.dropped, c, 'missing_name'); continue; }
+    if (c.value === undefined || c.value === null) { note(report.dropped, c, 'missing_value'); continue; }
+
+    const out = {
+      name: String(c.name),
+      value: String(c.value),
+      httpOnly: !!c.httpOnly,
+      secure: !!c.secure,
+    };
+
+    const ss = mapSameSite(c.sameSite);
+    if (ss) out.sameSite = ss;
+    if (ss === 'None' && !out.secure) {
+      out.secure = true; // règle web
+      note(report.normalized, c, 'same_site_none_requires_secure');
+    }
+    if (out.name.startsWith('__Secure-') && !out.secure) {
+      out.secure = true;
+      note(report.normalized, c, 'secure_prefix_requires_secure');
+    }
+
+    let exp = Number(c.expirationDate ?? c.expiry);
+    if (Number.isFinite(exp) && exp > 0) {
+      if (exp > 1e12) { // corrige ms
+        exp = Math.floor(exp / 1000);
+        note(report.normalized, c, 'expiry_ms_to_s');
+      }
+      if (exp * 1000 < now) { note(report.dropped, c, 'expired'); continue; }
+      out.expires = Math.floor(exp);
+    }
+
+    const domain = String(c.domain || '').trim().toLowerCase();
+    const path = c.path ? String(c.path) : '/';
+    if (!domain && !baseUrl) { note(report.dropped, c, 'missing_domain'); continue; }
+    if (out.name.startsWith('__Host-')) {
+      const host = domain.replace(/^\./, '') || new URL(baseUrl).hostname;
+      out.url = `https://${host}/`;
+      out.secure = true;
+      if (domain || path !== '/') note(report.normalized, c, 'host_prefix_uses_url');
+    } else if (!domain) {
+      out.url = baseUrl;
+      note(report.normalized, c, 'missing_domain_uses_base_url');
+    } else {
+      out.domain = c.hostOnly ? domain.replace(/^\./, '') : (domain.startsWith('.') ? domain : `.${domain}`);
+      if (!c.hostOnly && !domain.startsWith('.')) note(report.normalized, c, 'domain_prefixed_with_dot');
+      out.path = path.startsWith('/') ? path : `/${path}`;
+      if (!c.path) note(report.normalized, c, 'missing_path_defaults_to_root');
+    }
+    cookies.push(out);
+  }
+
+  return { cookies, report };
+}
+
+// Cookie Playwright (context.cookies()) → forme Cookie-Editor
+const SAME_SITE_EDITOR = { Lax: 'lax', Strict: 'strict', None: 'no_restriction' };
+const fromPlaywrightCookie = (c) => {
+  const session = !(Number(c.expires) > 0);
+  return {
+    domain: c.domain,
+    ...(session ? {} : { expirationDate: Number(c.expires) }),
+    hostOnly: !String(c.domain || '').startsWith('.'),
+    httpOnly: !!c.httpOnly,
+    name: c.name,
+    path: c.path || '/',
+    sameSite: SAME_SITE_EDITOR[c.sameSite] || null,
+    secure: !!c.secure,
+    session,
+    storeId: null,
+    value: c.value,
+  };
+};
+
+// flags debug : { has_<nom>: bool } pour les cookies suivis par le plugin
+const cookieFlags = (list = [], tracked = []) => {
+  const names = new Set(list.map((c) => c.name));
+  return Object.fromEntries(tracked.map((n) => [`has_${n}`, names.has(n)]));
+};
+
+// ---------- FUSION ----------
+const bareDomain = (d) => String(d || '').replace(/^\./, '').toLowerCase();
+// ".tiktok.com" et "www.tiktok.com" désignent le même cookie côté session stockée
+const domainsOverlap = (a, b) => {
+  const x = bareDomain(a);
+  const y = bareDomain(b);
+  return x === y || x.endsWith(`.${y}`) || y.endsWith(`.${x}`);
+};
+
+// Fusionne le jar rafraîchi (forme Cookie-Editor) dans la liste stockée :
+//  - même nom + path + domaine compatible → valeur / expiration / flags mis à jour, domaine stocké conservé
+//  - cookie inconnu → ajouté
+//  - cookie stocké expiré → retiré
+function mergeCookies(stored = [], fresh = [], { baseUrl = null, now = Date.now() } = {}) {
+  const out = (stored || []).map((c) => ({ ...c }));
+  const baseHost = baseUrl ? new URL(baseUrl).hostname : '';
+  const stats = { updated: 0, added: 0, removed: 0 };
+
+  for (const f of fresh || []) {
+    const cur = out.find((c) => c.name === f.name
+      && (c.path || '/') === (f.path || '/')
+      && domainsOverlap(c.domain || baseHost, f.domain));
+    if (!cur) {
+      out.push({ ...f });
+      stats.added++;
+      continue;
+    }
+    const changed = cur.value !== f.value || cur.expirationDate !== f.expirationDate;
+    Object.assign(cur, {
+      value: f.value,
+      httpOnly: f.httpOnly,
+      secure: f.secure,
+      sameSite: f.sameSite ?? cur.sameSite ?? null,
+      session: f.session,
+    });
+    if (f.expirationDate !== undefined) cur.expirationDate = f.expirationDate;
+    else delete cur.expirationDate;
+    if (changed) stats.updated++;
+  }
+
+  const nowS = now / 1000;
+  const kept = out.filter((c) => {
+    const exp = Number(c.expirationDate);
+    const expired = Number.isFinite(exp) && exp > 0 && (exp > 1e12 ? exp / 1000 : exp) < nowS;
+    if (expired) stats.removed++;
+    return !expired;
+  });
+  return { cookies: kept, stats };
+}
+
+module.exports = {
+  mapSameSite,
+  toPlaywrightCookies,
+  fromPlaywrightCookie,
+  cookieFlags,
+  mergeCookies,
+};
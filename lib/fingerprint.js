@@ -0,0 +1,161 @@
+// lib/fingerprint.js (CommonJS)
+// Profil d'empreinte navigateur par account (colonne `profile` de la session),
+// appliqué à chaque context créé pour cet account.
+//
+// {
+//   userAgent?, viewport: { width, height }, deviceScaleFactor, locale, timezoneId,
+//   geolocation?: { latitude, longitude, accuracy? }, colorScheme, acceptLanguage?,
+//   proxy?: { server, username?, password?, bypass? }   (voir lib/proxy.js)
+// }
+// Les champs absents retombent sur DEFAULT_PROFILE (ancien comportement : 1366x900).
+
+const { normalizeProxy, redactProxy } = require('./proxy');
+
+const DEFAULT_PROFILE = {
+  viewport: { width: 1366, height: 900 },
+  deviceScaleFactor: 1,
+  colorScheme: 'light',
+};
+
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+function validTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function validLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Valide un profil reçu par l'API → { profile, errors: [{ field, message }] }
+function normalizeProfile(input = {}) {
+  const errors = [];
+  const err = (field, message) => errors.push({ field, message });
+  const profile = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { profile, errors: [{ field: 'profile', message: 'must be an object' }] };
+  }
+
+  if (input.userAgent !== undefined) {
+    if (typeof input.userAgent !== 'string' || !input.userAgent.trim()) err('userAgent', 'must be a non-empty string');
+    else profile.userAgent = input.userAgent.trim();
+  }
+  if (input.viewport !== undefined) {
+    const { width, height } = input.viewport || {};
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 320 || height < 320) {
+      err('viewport', 'expected { width, height } integers >= 320');
+    } else profile.viewport = { width, height };
+  }
+  if (input.deviceScaleFactor !== undefined) {
+    if (!isNum(input.deviceScaleFactor) || input.deviceScaleFactor <= 0 || input.deviceScaleFactor > 4) {
+      err('deviceScaleFactor', 'must be a number in (0, 4]');
+    } else profile.deviceScaleFactor = input.deviceScaleFactor;
+  }
+  if (input.locale !== undefined) {
+    if (!validLocale(input.locale)) err('locale', 'must be a BCP 47 locale (ex: fr-FR)');
+    else profile.locale = Intl.getCanonicalLocales(input.locale)[0];
+  }
+  if (input.timezoneId !== undefined) {
+    if (typeof input.timezoneId !== 'string' || !validTimezone(input.timezoneId)) {
+      err('timezoneId', 'must be an IANA time zone (ex: Europe/Paris)');
+    } else profile.timezoneId = input.timezoneId;
+  }
+  if (input.geolocation !== undefined && input.geolocation !== null) {
+    const { latitude, longitude, accuracy } = input.geolocation || {};
+    if (!isNum(latitude) || !isNum(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      err('geolocation', 'expected { latitude, longitude } in degrees');
+    } else {
+      profile.geolocation = { latitude, longitude, ...(isNum(accuracy) ? { accuracy } : {}) };
+    }
+  }
+  if (input.colorScheme !== undefined) {
+    if (!COLOR_SCHEMES.includes(input.colorScheme)) err('colorScheme', `must be one of: ${COLOR_SCHEMES.join(', ')}`);
+    else profile.colorScheme = input.colorScheme;
+  }
+  if (input.acceptLanguage !== undefined) {
+    if (typeof input.acceptLanguage !== 'string' || !/^[\w-]+(;q=[\d.]+)?(\s*,\s*[\w*-]+(;q=[\d.]+)?)*$/.test(input.acceptLanguage.trim())) {
+      err('acceptLanguage', 'must be an Accept-Language header value (ex: fr-FR,fr;q=0.9,en;q=0.8)');
+    } else profile.acceptLanguage = input.acceptLanguage.trim();
+  }
+  if (input.proxy !== undefined && input.proxy !== null) {
+    const { proxy, errors: proxyErrors } = normalizeProxy(input.proxy);
+    errors.push(...proxyErrors);
+    if (proxy) profile.proxy = proxy;
+  }
+  return { profile, errors };
+}
+
+// Accept-Language par défaut dérivé de la locale : fr-FR → "fr-FR,fr;q=0.9"
+const acceptLanguageFor = (locale) => {
+  const base = locale.split('-')[0];
+  return base === locale ? locale : `${locale},${base};q=0.9`;
+};
+
+// Profil (+ UA enregistré avec les cookies) → options de browser.newContext()
+function profileContextOptions(profile = {}, { userAgent } = {}) {
+  const p = { ...DEFAULT_PROFILE, ...(profile || {}) };
+  const acceptLanguage = p.acceptLanguage || (p.locale ? acceptLanguageFor(p.locale) : null);
+  return {
+    userAgent: p.userAgent || userAgent || undefined,
+    viewport: p.viewport,
+    deviceScaleFactor: p.deviceScaleFactor,
+    colorScheme: p.colorScheme,
+    ...(p.locale ? { locale: p.locale } : {}),
+    ...(p.timezoneId ? { timezoneId: p.timezoneId } : {}),
+    ...(p.geolocation ? { geolocation: p.geolocation, permissions: ['geolocation'] } : {}),
+    ...(acceptLanguage ? { extraHTTPHeaders: { 'Accept-Language': acceptLanguage } } : {}),
+    ...(p.proxy ? { proxy: p.proxy } : {}),
+  };
+}
+
+// UA cohérent avec le Chromium embarqué (sans "HeadlessChrome") : version = browser.version()
+function defaultUserAgent(browserVersion) {
+  const major = String(browserVersion || '').split('.')[0] || '139';
+  const os = process.platform === 'darwin' ? 'Macintosh; Intel Mac OS X 10_15_7'
+    : process.platform === 'win32' ? 'Windows NT 10.0; Win64; x64' : 'X11; Linux x86_64';
+  return `Mozilla/5.0 (${os}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${major}.0.0.0 Safari/537.36`;
+}
+
+// Incohérences visibles entre UA et profil (l'UA Mac de payload.js sur un Chromium Linux, …)
+function profileWarnings(profile = {}, { userAgent } = {}) {
+  const ua = profile.userAgent || userAgent || '';
+  const warnings = [];
+  if (!ua) warnings.push('No user agent: the headless Chromium default (HeadlessChrome/Linux) will be sent');
+  else if (/HeadlessChrome/.test(ua)) warnings.push('User agent advertises HeadlessChrome');
+  const browserMajor = /Chrome\/(\d+)/.exec(ua)?.[1];
+  if (ua && !browserMajor) warnings.push('User agent is not Chrome-based: it will not match the Chromium engine');
+  const uaOs = /Macintosh|Mac OS X/.test(ua) ? 'darwin' : /Windows/.test(ua) ? 'win32' : /Linux|X11/.test(ua) ? 'linux' : null;
+  if (uaOs && uaOs !== process.platform) {
+    warnings.push(`User agent claims ${uaOs} but the browser runs on ${process.platform} (navigator.platform, fonts)`);
+  }
+  if (!profile.locale) warnings.push('No locale: navigator.language falls back to the server default');
+  if (!profile.timezoneId) warnings.push('No timezoneId: the server time zone will be exposed');
+  return warnings;
+}
+
+// Vue sans secrets (réponses API)
+const summarizeProfile = (profile) => {
+  if (!profile) return null;
+  const { proxy, ...rest } = profile;
+  return { ...rest, ...(proxy ? { proxy: redactProxy(proxy) } : {}) };
+};
+
+module.exports = {
+  DEFAULT_PROFILE,
+  normalizeProfile,
+  profileContextOptions,
+  defaultUserAgent,
+  profileWarnings,
+  summarizeProfile,
+};
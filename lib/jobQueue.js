@@ -0,0 +1,197 @@
+// lib/jobQueue.js (CommonJS)
+// File de jobs asynchrones pour /run : limites de concurrence par mode,
+// historique borné et persistance JSON (survit à un redémarrage).
+
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFileSync } = require('./jsonFile');
+
+const FINISHED = new Set(['succeeded', 'failed', 'cancelled', 'interrupted']);
+
+// "tiktok.reply=1,tiktok.fetchComments=2" → { 'tiktok.reply': 1, ... }
+const parseConcurrency = (str = '') => {
+  const out = {};
+  for (const part of String(str).split(',')) {
+    const [mode, n] = part.split('=').map((x) => (x || '').trim());
+    if (mode && Number(n) > 0) out[mode] = Number(n);
+  }
+  return out;
+};
+
+function createJobQueue({
+  run,                          // async (mode, input, { signal, job }) => result
+  file = null,                  // chemin du fichier de persistance (null = mémoire seule)
+  concurrency = {},             // { mode: n }
+  defaultConcurrency = 1,
+  historyMax = 200,
+  resumable = () => false,      // (mode) => true si on peut relancer un job interrompu
+  onSettled = null,             // (job) => void, appelé quand un job atteint un état final
+}) {
+  const jobs = new Map();       // id -> job (ordre d'insertion = ordre d'arrivée)
+  const running = new Map();    // id -> AbortController
+  const runningByMode = new Map();
+
+  // ---------- PERSISTANCE ----------
+  let saveTimer = null;
+  let stopped = false;
+  const snapshot = () => Array.from(jobs.values());
+
+  function saveNow() {
+    if (file) writeJsonFileSync(file, snapshot());
+  }
+
+  function save() {
+    if (!file || saveTimer || stopped) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try { saveNow(); } catch (e) { console.error('jobQueue.save:', e.message); }
+    }, 200);
+  }
+
+  function load() {
+    let list = [];
+    try {
+      list = readJsonFile(file, []);
+    } catch (e) {
+      console.error(`jobQueue.load: fichier illisible (${file}):`, e.message);
+      return;
+    }
+    for (const job of Array.isArray(list) ? list : []) {
+      if (!job || !job.id) continue;
+      if (job.status === 'running') {
+        // tué en plein vol : on relance seulement si le mode est sans effet de bord
+        if (resumable(job.mode)) {
+          job.status = 'queued';
+          job.startedAt = null;
+          job.restarts = (job.restarts || 0) + 1;
+        } else {
+          job.status = 'interrupted';
+          job.error = 'Service restarted while the job was running';
+          job.finishedAt = new Date().toISOString();
+          notify(job);
+        }
+      }
+      jobs.set(job.id, job);
+    }
+  }
+
+  // ---------- HISTORIQUE ----------
+  function trim() {
+    const finished = snapshot().filter((j) => FINISHED.has(j.status));
+    for (let i = 0; i < finished.length - historyMax; i++) jobs.delete(finished[i].id);
+  }
+
+  // ---------- SCHEDULER ----------
+  const limitFor = (mode) => concurrency[mode] || defaultConcurrency;
+
+  function pump() {
+    if (stopped) return;
+    for (const job of jobs.values()) {
+      if (job.status !== 'queued') continue;
+      if ((runningByMode.get(job.mode) || 0) >= limitFor(job.mode)) continue;
+      start(job);
+    }
+  }
+
+  const notify = (job) => {
+    if (!onSettled) return;
+    try { onSettled(job); } catch (e) { console.error('jobQueue.onSettled:', e.message); }
+  };
+
+  function finish(job, patch) {
+    Object.assign(job, patch, { finishedAt: new Date().toISOString() });
+    running.delete(job.id);
+    runningByMode.set(job.mode, Math.max(0, (runningByMode.get(job.mode) || 1) - 1));
+    notify(job);
+    trim();
+    save();
+    pump();
+  }
+
+  function start(job) {
+    const ctrl = new AbortController();
+    running.set(job.id, ctrl);
+    runningByMode.set(job.mode, (runningByMode.get(job.mode) || 0) + 1);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    save();
+
+    Promise.resolve()
+      .then(() => run(job.mode, job.input, { signal: ctrl.signal, job }))
+      .then(
+        (result) => {
+          if (job.status !== 'running') return; // annulé entre-temps
+          const ok = !result || result.ok !== false;
+          finish(job, { status: ok ? 'succeeded' : 'failed', result, error: ok ? null : result.error || null });
+        },
+        (e) => {
+          if (job.status !== 'running') return;
+          finish(job, { status: 'failed', result: null, error: e.message || String(e) });
+        },
+      )
+      .finally(() => {
+        // un job annulé en cours libère son slot ici, une fois le run réellement terminé
+        if (running.has(job.id)) {
+          running.delete(job.id);
+          runningByMode.set(job.mode, Math.max(0, (runningByMode.get(job.mode) || 1) - 1));
+          pump();
+        }
+      });
+  }
+
+  // ---------- API ----------
+  function enqueue(mode, input) {
+    const job = {
+      id: crypto.randomUUID(),
+      mode,
+      status: 'queued',
+      input,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+    jobs.set(job.id, job);
+    save();
+    pump();
+    return job;
+  }
+
+  const get = (id) => jobs.get(id) || null;
+
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (FINISHED.has(job.status)) return job;
+
+    const wasRunning = job.status === 'running';
+    Object.assign(job, { status: 'cancelled', error: 'Cancelled', finishedAt: new Date().toISOString() });
+    if (wasRunning) running.get(id)?.abort();
+    notify(job);
+    trim();
+    save();
+    return job;
+  }
+
+  function stats() {
+    const byStatus = {};
+    for (const j of jobs.values()) byStatus[j.status] = (byStatus[j.status] || 0) + 1;
+    return { total: jobs.size, byStatus, running: Object.fromEntries(runningByMode) };
+  }
+
+  // Annule tout ce qui tourne et force l'écriture (SIGTERM)
+  function shutdown() {
+    stopped = true;
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = null;
+    for (const ctrl of running.values()) ctrl.abort();
+    try { saveNow(); } catch (e) { console.error('jobQueue.save:', e.message); }
+  }
+
+  load();
+  setImmediate(pump);
+
+  return { enqueue, get, cancel, stats, shutdown };
+}
+
+module.exports = { createJobQueue, parseConcurrency };
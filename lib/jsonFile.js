@@ -0,0 +1,20 @@
+// lib/jsonFile.js (CommonJS)
+// Petits helpers de persistance JSON locale (écriture atomique tmp + rename).
+
+const fs = require('fs');
+const path = require('path');
+
+// Renvoie `fallback` si le fichier est absent ; lève si le JSON est invalide
+function readJsonFile(file, fallback = null) {
+  if (!file || !fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJsonFileSync(file, data, { mode } = {}) {
+  const tmp = `${file}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), mode ? { mode } : undefined);
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { readJsonFile, writeJsonFileSync };
@@ -0,0 +1,141 @@
+// lib/modeRegistry.js (CommonJS)
+// Registre des modes de /run : handler, schémas JSON d'entrée / de sortie, scope requis,
+// reprise après redémarrage, plateforme (plugin) du mode. Le body est validé avant toute
+// exécution (sync ou job) : mode inconnu ou payload invalide → 400 avec les erreurs par champ.
+
+const { validate } = require('./schema');
+
+// Options communes à tous les modes (fusionnées dans chaque schéma d'entrée)
+const RUN_OPTIONS = {
+  mode: { type: 'string' },
+  async: { type: 'boolean', description: 'Run as a job (202 + jobId)' },
+  account: { type: 'string', minLength: 1 },
+  platform: { type: 'string', minLength: 1 },
+  debug: { type: 'boolean', description: 'Keep artifacts even on success' },
+  artifacts: { enum: ['off', 'failure', 'always', false] },
+};
+
+// Résultat d'échec commun (lib/runErrors.js)
+const ERROR_OUTPUT = {
+  type: 'object',
+  required: ['ok', 'code', 'error'],
+  properties: {
+    ok: { const: false },
+    code: { type: 'string' },
+    error: { type: 'string' },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { field: { type: 'string' }, message: { type: 'string' } },
+      },
+    },
+  },
+};
+
+const ARTIFACTS_OUTPUT = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' }, kind: { type: 'string' }, contentType: { type: 'string' }, size: { type: 'integer' }, url: { type: 'string' },
+    },
+  },
+};
+
+function createModeRegistry() {
+  const modes = new Map(); // name -> { handler, input, output, scope, resumable, description, platform }
+
+  // input : schéma objet des champs propres au mode (additionalProperties: false par défaut)
+  // scope : string ou (body) => string ; platform : body.platform doit lui correspondre
+  // timeoutMs : durée max du run propre au mode, nombre ou (body) => nombre (budget, nombre
+  // d'items…) ; null = défaut du serveur (RUN_DEFAULT_TIMEOUT_MS)
+  function register(name, {
+    handler, input = {}, output = { type: 'object' }, scope = 'run:read', resumable = false, description = '', platform = null,
+    timeoutMs = null,
+  }) {
+    if (typeof handler !== 'function') throw new Error(`Mode ${name}: handler must be a function`);
+    if (modes.has(name)) throw new Error(`Mode ${name} is already registered`);
+    modes.set(name, {
+      name,
+      handler,
+      description,
+      platform,
+      scope,
+      timeoutMs,
+      resumable: Boolean(resumable),
+      input: {
+        additionalProperties: false,
+        ...input,
+        type: 'object',
+        properties: { ...RUN_OPTIONS, ...(input.properties || {}) },
+      },
+      output: {
+        type: 'object',
+        ...output,
+        properties: { ok: { const: true }, ...(output.properties || {}), artifacts: ARTIFACTS_OUTPUT },
+      },
+    });
+    return api;
+  }
+
+  const get = (name) => modes.get(name) || null;
+  const has = (name) => modes.has(name);
+  const names = () => Array.from(modes.keys());
+
+  const scopeFor = (name, body = {}) => {
+    const entry = modes.get(name);
+    if (!entry) return 'run:read';
+    return typeof entry.scope === 'function' ? entry.scope(body) : entry.scope;
+  };
+
+  // body validé → ms | null (pas de durée propre au mode)
+  const timeoutFor = (name, body = {}) => {
+    const entry = modes.get(name);
+    if (!entry || entry.timeoutMs === null) return null;
+    return typeof entry.timeoutMs === 'function' ? entry.timeoutMs(body) : entry.timeoutMs;
+  };
+
+  // → { ok: true } | { ok: false, code: UNKNOWN_MODE | BAD_REQUEST, error, errors }
+  function check(name, body) {
+    const entry = modes.get(name);
+    if (!entry) {
+      return {
+        ok: false,
+        code: 'UNKNOWN_MODE',
+        error: `Unknown mode "${name}"`,
+        errors: [{ field: 'mode', message: `must be one of: ${names().join(', ')}` }],
+      };
+    }
+    const v = validate(entry.input, body ?? {});
+    const errors = v.ok ? [] : v.errors;
+    if (entry.platform && typeof body?.platform === 'string' && body.platform.toLowerCase() !== entry.platform) {
+      errors.push({ field: 'platform', message: `must be ${entry.platform} for ${name}` });
+    }
+    if (!errors.length) return { ok: true };
+    return {
+      ok: false,
+      code: 'BAD_REQUEST',
+      error: `Invalid payload for ${name}: ${errors.map((e) => `${e.field} ${e.message}`).join('; ')}`,
+      errors,
+    };
+  }
+
+  // Vue publique (GET /modes) : sans le handler ; scope dynamique → scope par défaut (body vide)
+  const list = () => Array.from(modes.values()).map((m) => ({
+    name: m.name,
+    description: m.description,
+    platform: m.platform,
+    scope: scopeFor(m.name),
+    resumable: m.resumable,
+    input: m.input,
+    output: { anyOf: [m.output, ERROR_OUTPUT] },
+  }));
+
+  const api = {
+    register, get, has, names, scopeFor, timeoutFor, validate: check, list,
+  };
+  return api;
+}
+
+module.exports = { createModeRegistry, RUN_OPTIONS, ERROR_OUTPUT };
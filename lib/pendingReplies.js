@@ -0,0 +1,67 @@
+// lib/pendingReplies.js (CommonJS)
+// Brouillons de réponses en attente de validation humaine (issus de tiktok.reply dryRun).
+// Cycle : pending → approved → posted | failed ; ou pending → rejected.
+// La capture d'écran du dryRun vit dans le store d'artefacts (screenshotId, même rétention).
+
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFileSync } = require('./jsonFile');
+
+const FINAL = new Set(['posted', 'failed', 'rejected']);
+
+function createPendingReplies({ file = null, historyMax = 500 } = {}) {
+  const drafts = new Map(); // id -> draft (ordre de création)
+
+  try {
+    for (const d of readJsonFile(file, []) || []) if (d && d.id) drafts.set(d.id, d);
+  } catch (e) {
+    console.error(`pendingReplies.load: fichier illisible (${file}):`, e.message);
+  }
+
+  function save() {
+    if (!file) return;
+    // on purge les plus anciens brouillons terminés au-delà de historyMax
+    const done = Array.from(drafts.values()).filter((d) => FINAL.has(d.status));
+    for (let i = 0; i < done.length - historyMax; i++) drafts.delete(done[i].id);
+    try {
+      writeJsonFileSync(file, Array.from(drafts.values()), { mode: 0o600 });
+    } catch (e) {
+      console.error('pendingReplies.save:', e.message);
+    }
+  }
+
+  function create(fields) {
+    const draft = {
+      id: crypto.randomUUID(),
+      status: 'pending',
+      ...fields,
+      createdAt: new Date().toISOString(),
+      decidedAt: null,
+      decidedBy: null,
+      reason: null,
+      jobId: null,
+      result: null,
+    };
+    drafts.set(draft.id, draft);
+    save();
+    return draft;
+  }
+
+  const get = (id) => drafts.get(id) || null;
+
+  const list = ({ status } = {}) => Array.from(drafts.values())
+    .filter((d) => !status || d.status === status);
+
+  function update(id, patch) {
+    const d = drafts.get(id);
+    if (!d) return null;
+    Object.assign(d, patch);
+    save();
+    return d;
+  }
+
+  const findByJob = (jobId) => Array.from(drafts.values()).find((d) => d.jobId === jobId) || null;
+
+  return { create, get, list, update, findByJob };
+}
+
+module.exports = { createPendingReplies };
@@ -0,0 +1,123 @@
+// lib/plugins.js (CommonJS)
+// Plugins de plateforme : chaque plateforme (TikTok, puis Instagram, YouTube…) déclare son URL,
+// la conversion de ses cookies, son détecteur de connexion, ses sélecteurs et ses modes de /run.
+// Les sessions du store (clé platform+account) sont résolues via le plugin de leur platform.
+//
+// Un plugin est un module (plugins/<nom>/index.js) qui exporte une fabrique (core) => définition :
+//   platform         identifiant de la plateforme (clé des sessions), [a-z0-9_-]
+//   baseUrl          URL d'accueil, slash final (cookies sans domaine, capture-state, sondes)
+//   loginUrl         page ouverte par /login-sessions (défaut : baseUrl)
+//   cookieDomain     domaine des imports "header" (a=b; c=d) (défaut : .<hôte de baseUrl>)
+//   defaultAccount   account utilisé quand le body n'en fournit pas
+//   criticalCookies  cookies dont l'expiration invalide la session
+//   flagCookies      cookies rapportés dans les flags de debug (has_<nom>)
+//   toPlaywrightCookies(raw) → { cookies, report }  (défaut : lib/cookies.js avec baseUrl)
+//   detectLogin(page, { context, waitMs }) → { state: loggedIn | loggedOut | challenged, reason, evidence }
+//   checkMode        mode lancé par la surveillance des sessions (optionnel)
+//   selectors        sélecteurs par défaut { clé: "a, b" } (version 0 de lib/selectorConfig.js)
+//   expectedSelectors clés qui doivent correspondre sur chaque run mesuré (santé : degraded)
+//   domSelectors     clés passées à document.querySelectorAll (CSS standard, sans :has-text / >>)
+//   modes            { nom: { handler(body, scope), input, output, scope, resumable, description } }
+//
+// core : services du serveur (getContextWithSession, assertLoggedIn, pendingReplies, artifactStore,
+// store, selectorConfig, selectorHealth, config).
+// Chargement : tous les sous-dossiers de PLUGINS_DIR, ou la liste PLUGINS (noms ou chemins).
+
+const fs = require('fs');
+const path = require('path');
+const { toPlaywrightCookies, cookieFlags } = require('./cookies');
+
+const PLATFORM_RE = /^[a-z0-9_-]+$/;
+
+// Complète la définition avec les valeurs par défaut ; erreurs de forme → exception au démarrage
+function normalizePlugin(def, source) {
+  const fail = (msg) => { throw new Error(`Plugin ${source}: ${msg}`); };
+  if (!def || typeof def !== 'object') fail('must export a definition or a factory returning one');
+  if (!PLATFORM_RE.test(String(def.platform || ''))) fail('"platform" must match [a-z0-9_-]+');
+  if (!/^https?:\/\/[^/]+\/$/.test(String(def.baseUrl || ''))) fail('"baseUrl" must be an http(s) origin with a trailing slash');
+  if (typeof def.detectLogin !== 'function') fail('"detectLogin" must be a function');
+  const modes = def.modes || {};
+  if (def.checkMode && !modes[def.checkMode]) fail(`"checkMode" ${def.checkMode} is not one of its modes`);
+  for (const list of ['expectedSelectors', 'domSelectors']) {
+    const unknown = (def[list] || []).filter((k) => !(k in (def.selectors || {})));
+    if (unknown.length) fail(`"${list}" not in its selectors: ${unknown.join(', ')}`);
+  }
+
+  const flagCookies = def.flagCookies || [];
+  return {
+    loginUrl: def.baseUrl,
+    cookieDomain: `.${new URL(def.baseUrl).hostname.replace(/^www\./, '')}`,
+    defaultAccount: '',
+    criticalCookies: [],
+    checkMode: null,
+    selectors: {},
+    expectedSelectors: [],
+    domSelectors: [],
+    toPlaywrightCookies: (raw) => toPlaywrightCookies(raw, { baseUrl: def.baseUrl }),
+    cookieFlags: (list) => cookieFlags(list, flagCookies),
+    ...def,
+    flagCookies,
+    modes,
+    source,
+  };
+}
+
+function createPlatformRegistry() {
+  const plugins = new Map(); // platform -> définition normalisée
+
+  function register(def, source = def?.platform || 'inline') {
+    const plugin = normalizePlugin(def, source);
+    if (plugins.has(plugin.platform)) {
+      throw new Error(`Plugin ${source}: platform "${plugin.platform}" already registered by ${plugins.get(plugin.platform).source}`);
+    }
+    plugins.set(plugin.platform, plugin);
+    return plugin;
+  }
+
+  const get = (platform) => plugins.get(String(platform || '').toLowerCase()) || null;
+  const names = () => Array.from(plugins.keys());
+  const list = () => Array.from(plugins.values());
+
+  // Vue publique (/health, /platforms) : sans les fonctions
+  const describe = () => list().map((p) => ({
+    platform: p.platform,
+    source: p.source,
+    baseUrl: p.baseUrl,
+    loginUrl: p.loginUrl,
+    checkMode: p.checkMode,
+    modes: Object.keys(p.modes),
+  }));
+
+  return {
+    register, get, names, list, describe,
+  };
+}
+
+// Entrées à charger : PLUGINS (noms dans dir, ou chemins relatifs au cwd), sinon tous les sous-dossiers de dir
+function pluginEntries({ dir, names = [] }) {
+  if (names.length) {
+    return names.map((n) => (n.startsWith('.') || path.isAbsolute(n) ? path.resolve(n) : path.join(dir, n)));
+  }
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && fs.existsSync(path.join(dir, d.name, 'index.js')))
+    .map((d) => path.join(dir, d.name))
+    .sort();
+}
+
+// "tiktok, ./extra/instagram" → ['tiktok', './extra/instagram']
+const parsePluginList = (str = '') => String(str).split(',').map((s) => s.trim()).filter(Boolean);
+
+function loadPlugins({ dir, names = [], core }) {
+  const registry = createPlatformRegistry();
+  for (const entry of pluginEntries({ dir, names })) {
+    const source = path.relative(process.cwd(), entry) || entry;
+    const exported = require(entry);
+    registry.register(typeof exported === 'function' ? exported(core) : exported, source);
+  }
+  return registry;
+}
+
+module.exports = {
+  createPlatformRegistry, loadPlugins, parsePluginList,
+};
@@ -0,0 +1,297 @@
+// lib/remoteLogin.js (CommonJS)
+// Connexion interactive à distance : un context dédié est ouvert sur la page de login,
+// son rendu est diffusé (CDP Page.startScreencast) vers une page opérateur qui renvoie
+// clics / saisie. Dès que la connexion est détectée, `onLoggedIn` enregistre la session.
+//
+// Statuts : starting | waiting_login | saving | saved | failed | expired | cancelled
+// Accès opérateur par token (dans l'URL : EventSource ne peut pas poser d'en-tête).
+
+const crypto = require('crypto');
+const { runError } = require('./runErrors');
+
+const FINAL = new Set(['saved', 'failed', 'expired', 'cancelled']);
+
+const safeEqual = (a, b) => {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+// pool     : browser pool ; chaque login a son context hors slots (pool.openContext) pour ne pas
+//            bloquer les runs pendant son TTL ; maxActive logins ouverts, au-delà LOGIN_BUSY (503)
+// detect   : async (page, context, { platform, account }) => boolean (détecteur du plugin de la plateforme)
+// onLoggedIn : async ({ platform, account, context, page }) => résumé enregistré
+function createLoginSessions({
+  pool,
+  detect,
+  onLoggedIn,
+  ttlMs = 10 * 60 * 1000,
+  maxActive = 2,
+  pollMs = 2000,
+  screencast = { format: 'jpeg', quality: 60, everyNthFrame: 2 },
+  historyMax = 50,
+} = {}) {
+  const sessions = new Map(); // id -> état interne
+
+  const view = (s) => ({
+    id: s.id,
+    platform: s.platform,
+    account: s.account,
+    status: s.status,
+    url: s.page && !s.page.isClosed() ? s.page.url() : s.lastUrl,
+    viewport: s.viewport,
+    createdAt: s.createdAt,
+    expiresAt: s.expiresAt,
+    finishedAt: s.finishedAt,
+    error: s.error,
+    saved: s.saved,
+    viewers: s.viewers.size,
+  });
+
+  const emit = (s, event, data) => {
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of s.viewers) res.write(payload);
+  };
+
+  function prune() {
+    const done = Array.from(sessions.values()).filter((s) => FINAL.has(s.status));
+    for (const s of done.slice(0, Math.max(0, done.length - historyMax))) sessions.delete(s.id);
+  }
+
+  async function finish(s, status, extra = {}) {
+    if (FINAL.has(s.status)) return;
+    Object.assign(s, { status, finishedAt: new Date().toISOString(), ...extra });
+    clearTimeout(s.ttlTimer);
+    clearInterval(s.pollTimer);
+    s.lastUrl = s.page && !s.page.isClosed() ? s.page.url() : s.lastUrl;
+    emit(s, 'status', view(s));
+    for (const res of s.viewers) res.end();
+    s.viewers.clear();
+    if (s.cdp) await s.cdp.detach().catch(() => {});
+    if (s.lease) await s.lease.close();
+    prune();
+  }
+
+  async function poll(s) {
+    if (s.status !== 'waiting_login' || s.checking) return;
+    s.checking = true;
+    try {
+      if (!(await detect(s.page, s.lease.context, { platform: s.platform, account: s.account }))) return;
+      s.status = 'saving';
+      emit(s, 'status', view(s));
+      const saved = await onLoggedIn({
+        platform: s.platform, account: s.account, context: s.lease.context, page: s.page,
+      });
+      await finish(s, 'saved', { saved });
+    } catch (e) {
+      // page en pleine navigation : on retentera au prochain tour
+      if (s.status === 'saving') await finish(s, 'failed', { error: e.message || String(e) });
+    } finally {
+      s.checking = false;
+    }
+  }
+
+  // contextOptions : profil d'empreinte de l'account (UA, viewport, proxy, …)
+  async function create({
+    platform, account, url, contextOptions = {},
+  }) {
+    const open = Array.from(sessions.values()).filter((x) => !FINAL.has(x.status)).length;
+    if (open >= maxActive) {
+      throw runError('LOGIN_BUSY', `${open} login session(s) already open (max ${maxActive}): finish or cancel one first`);
+    }
+    const s = {
+      id: crypto.randomUUID(),
+      token: crypto.randomBytes(24).toString('base64url'),
+      platform,
+      account,
+      status: 'starting',
+      viewport: contextOptions.viewport || { width: 1280, height: 800 },
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+      finishedAt: null,
+      error: null,
+      saved: null,
+      lastUrl: url,
+      viewers: new Set(),
+      lastFrame: null,
+    };
+    sessions.set(s.id, s);
+
+    try {
+      // clé unique : jamais le context en cache de l'account (cookies d'une session morte)
+      s.lease = await pool.openContext({ ...contextOptions, viewport: s.viewport });
+      s.page = await s.lease.context.newPage();
+      s.cdp = await s.lease.context.newCDPSession(s.page);
+      s.cdp.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+        s.cdp.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+        s.lastFrame = { data, metadata };
+        emit(s, 'frame', s.lastFrame);
+      });
+      await s.cdp.send('Page.startScreencast', {
+        ...screencast, maxWidth: s.viewport.width, maxHeight: s.viewport.height,
+      });
+      await s.page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+
+      s.status = 'waiting_login';
+      s.ttlTimer = setTimeout(() => { finish(s, 'expired'); }, ttlMs);
+      s.ttlTimer.unref();
+      s.pollTimer = setInterval(() => { poll(s); }, pollMs);
+      s.pollTimer.unref();
+      emit(s, 'status', view(s));
+    } catch (e) {
+      await finish(s, 'failed', { error: e.message || String(e) });
+    }
+    return { ...view(s), token: s.token };
+  }
+
+  const get = (id) => {
+    const s = sessions.get(id);
+    return s ? view(s) : null;
+  };
+
+  const checkToken = (id, token) => {
+    const s = sessions.get(id);
+    return Boolean(s && safeEqual(s.token, token));
+  };
+
+  // Flux SSE : status + frames (base64 jpeg, metadata CDP)
+  function attachViewer(id, res) {
+    const s = sessions.get(id);
+    if (!s) return false;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+    });
+    res.write(`event: status\ndata: ${JSON.stringify(view(s))}\n\n`);
+    if (FINAL.has(s.status)) {
+      res.end();
+      return true;
+    }
+    if (s.lastFrame) res.write(`event: frame\ndata: ${JSON.stringify(s.lastFrame)}\n\n`);
+    s.viewers.add(res);
+    res.on('close', () => s.viewers.delete(res));
+    return true;
+  }
+
+  // Événements opérateur. x / y : position relative dans l'image (0..1)
+  async function input(id, ev = {}) {
+    const s = sessions.get(id);
+    if (!s) throw new Error('Login session not found');
+    if (s.status !== 'waiting_login') throw new Error(`Login session is ${s.status}`);
+    const { page } = s;
+    const at = () => ({
+      x: Math.round(Math.min(1, Math.max(0, Number(ev.x))) * s.viewport.width),
+      y: Math.round(Math.min(1, Math.max(0, Number(ev.y))) * s.viewport.height),
+    });
+
+    switch (ev.type) {
+      case 'click': {
+        const { x, y } = at();
+        await page.mouse.click(x, y);
+        break;
+      }
+      case 'type':
+        await page.keyboard.type(String(ev.text ?? ''), { delay: 40 });
+        break;
+      case 'key':
+        await page.keyboard.press(String(ev.key));
+        break;
+      case 'scroll':
+        await page.mouse.wheel(0, Number(ev.dy) || 0);
+        break;
+      case 'navigate':
+        if (!/^https?:\/\//i.test(String(ev.url))) throw new Error('navigate expects an http(s) url');
+        await page.goto(String(ev.url), { waitUntil: 'domcontentloaded', timeout: 60000 });
+        break;
+      default:
+        throw new Error(`Unknown input type "${ev.type}" (click, type, key, scroll, navigate)`);
+    }
+    poll(s);
+    return view(s);
+  }
+
+  async function cancel(id) {
+    const s = sessions.get(id);
+    if (!s) return null;
+    await finish(s, 'cancelled');
+    return view(s);
+  }
+
+  async function shutdown() {
+    for (const s of sessions.values()) await finish(s, 'cancelled');
+  }
+
+  const stats = () => ({
+    active: Array.from(sessions.values()).filter((s) => !FINAL.has(s.status)).length,
+    maxActive,
+    total: sessions.size,
+  });
+
+  return {
+    create, get, checkToken, attachViewer, input, cancel, shutdown, stats,
+  };
+}
+
+// Page opérateur : image du screencast + renvoi des clics / touches
+const viewerPage = ({ id, token }) => `<!doctype html>
+<html lang="fr">
+<head>
+<meta charset="utf-8">
+<title>Connexion à distance</title>
+<style>
+  body { margin: 0; font: 14px system-ui, sans-serif; background: #111; color: #eee; }
+  header { display: flex; gap: 8px; align-items: center; padding: 8px; }
+  #screen { display: block; max-width: 100%; cursor: crosshair; outline: none; }
+  #status { font-weight: 600; }
+  input[type=text] { flex: 1; }
+</style>
+</head>
+<body>
+<header>
+  <span id="status">…</span>
+  <input id="text" type="text" placeholder="Texte à saisir (Entrée pour envoyer)">
+  <button data-key="Tab">Tab</button><button data-key="Enter">Entrée</button><button data-key="Backspace">⌫</button>
+</header>
+<img id="screen" tabindex="0" alt="">
+<script>
+const base = ${JSON.stringify(`/login-sessions/${encodeURIComponent(id)}`)};
+const qs = ${JSON.stringify(`?token=${encodeURIComponent(token)}`)};
+const img = document.getElementById('screen');
+const statusEl = document.getElementById('status');
+const send = (ev) => fetch(base + '/input' + qs, {
+  method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(ev),
+}).then((r) => r.json()).then((r) => { if (!r.ok) statusEl.textContent = r.error; });
+
+const es = new EventSource(base + '/stream' + qs);
+es.addEventListener('frame', (e) => { img.src = 'data:image/jpeg;base64,' + JSON.parse(e.data).data; });
+es.addEventListener('status', (e) => {
+  const s = JSON.parse(e.data);
+  statusEl.textContent = s.status + (s.error ? ' : ' + s.error : '');
+  if (['saved', 'failed', 'expired', 'cancelled'].includes(s.status)) es.close();
+});
+
+img.addEventListener('click', (e) => {
+  const r = img.getBoundingClientRect();
+  send({ type: 'click', x: (e.clientX - r.left) / r.width, y: (e.clientY - r.top) / r.height });
+  img.focus();
+});
+img.addEventListener('wheel', (e) => { e.preventDefault(); send({ type: 'scroll', dy: e.deltaY }); }, { passive: false });
+img.addEventListener('keydown', (e) => {
+  e.preventDefault();
+  if (e.key.length === 1) send({ type: 'type', text: e.key });
+  else send({ type: 'key', key: e.key });
+});
+const text = document.getElementById('text');
+text.addEventListener('keydown', (e) => {
+  if (e.key !== 'Enter' || !text.value) return;
+  send({ type: 'type', text: text.value });
+  text.value = '';
+});
+document.querySelectorAll('button[data-key]').forEach((b) => b.addEventListener('click', () => send({ type: 'key', key: b.dataset.key })));
+</script>
+</body>
+</html>
+`;
+
+module.exports = { createLoginSessions, viewerPage };
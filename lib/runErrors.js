@@ -0,0 +1,96 @@
+// lib/runErrors.js (CommonJS)
+// Codes d'erreur typés des runs et statut HTTP associé.
+// Une erreur porte son code (`e.code`) ; sinon classifyError() le déduit du message Playwright.
+// Résultat d'échec d'un mode : { ok: false, code, error, ...détails }.
+
+const ERROR_STATUS = {
+  BAD_REQUEST: 400,
+  UNKNOWN_MODE: 400,
+  UNKNOWN_PLATFORM: 400,
+  NO_SESSION: 404,
+  COMMENT_NOT_FOUND: 404,
+  LOGGED_OUT: 409,
+  CHALLENGED: 409,
+  AMBIGUOUS_MATCH: 409,
+  CANCELLED: 409,
+  INVALID_COOKIES: 422,
+  SELECTOR_NOT_FOUND: 422,
+  REPLY_REJECTED: 422,
+  RATE_LIMITED: 429,
+  INTERNAL: 500,
+  PROXY_UNREACHABLE: 502,
+  PROXY_AUTH_FAILED: 502,
+  PROXY_ERROR: 502,
+  BROWSER_UNAVAILABLE: 503,
+  POOL_BUSY: 503,
+  LOGIN_BUSY: 503,
+  NAV_TIMEOUT: 504,
+  TIMEOUT: 504,
+  RUN_TIMEOUT: 504,
+  REPLY_UNVERIFIED: 504,
+};
+
+// Même forme que les erreurs de lib/proxy.js et lib/loginState.js : Error + code (+ détails)
+const runError = (code, message, details = {}) => Object.assign(new Error(message), { code, ...details });
+
+const PROXY_ERROR_RE = /ERR_PROXY_|ERR_TUNNEL_CONNECTION_FAILED|ERR_SOCKS_|ERR_NO_SUPPORTED_PROXIES/;
+const NAV_RE = /page\.(goto|reload|waitForNavigation|waitForURL|goBack)|frame\.goto/;
+const SELECTOR_RE = /locator\.|waitForSelector|page\.(click|fill|type|hover)|elementHandle\./;
+
+function classifyError(e, { signal } = {}) {
+  if (e && e.code && ERROR_STATUS[e.code]) return e.code;
+  if (signal?.aborted) return signal.reason?.code === 'RUN_TIMEOUT' ? 'RUN_TIMEOUT' : 'CANCELLED';
+  const msg = String(e?.message || e || '');
+  if (PROXY_ERROR_RE.test(msg)) return 'PROXY_ERROR';
+  if (/does not support socks5 proxy authentication/i.test(msg)) return 'PROXY_AUTH_FAILED'; // proxy enregistré avant validation
+  if (/Executable doesn't exist|browserType\.launch/.test(msg)) return 'BROWSER_UNAVAILABLE';
+  if (e?.name === 'TimeoutError' || /Timeout \d+ms exceeded/.test(msg)) {
+    if (NAV_RE.test(msg)) return 'NAV_TIMEOUT';
+    if (SELECTOR_RE.test(msg)) return 'SELECTOR_NOT_FOUND';
+    return 'TIMEOUT';
+  }
+  if (/net::ERR_/.test(msg) && NAV_RE.test(msg)) return 'NAV_TIMEOUT';
+  return 'INTERNAL';
+}
+
+// Exception → résultat d'échec d'un mode (garde les détails portés par l'erreur : login, proxy…)
+function errorResult(e, extra = {}, { signal } = {}) {
+  const code = classifyError(e, { signal });
+  const message = signal?.aborted && signal.reason?.message ? signal.reason.message : (e?.message || String(e));
+  return {
+    ok: false,
+    code,
+    error: message,
+    ...(e?.login ? { login: e.login } : {}),
+    ...extra,
+  };
+}
+
+// État de connexion détecté par le plugin de la plateforme → LOGGED_OUT | CHALLENGED
+function loginStateError(login) {
+  const code = login.state === 'challenged' ? 'CHALLENGED' : 'LOGGED_OUT';
+  const message = login.state === 'challenged'
+    ? `Verification challenge: ${login.reason}`
+    : `Session is logged out: ${login.reason}`;
+  return runError(code, message, { login });
+}
+
+const badRequest = (error, extra = {}) => ({
+  ok: false, code: 'BAD_REQUEST', error, ...extra,
+});
+
+// Statut HTTP d'un résultat de mode
+const httpStatus = (result) => {
+  if (!result || result.ok !== false) return 200;
+  return ERROR_STATUS[result.code] || 500;
+};
+
+module.exports = {
+  ERROR_STATUS,
+  runError,
+  classifyError,
+  errorResult,
+  loginStateError,
+  badRequest,
+  httpStatus,
+};
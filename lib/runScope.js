@@ -0,0 +1,70 @@
+// lib/runScope.js (CommonJS)
+// Cadre commun d'un run de mode : signal unique (annulation du job + timeout global du mode),
+// suivi des contexts empruntés au pool et nettoyage garanti en fin de run, même si le
+// handler reste bloqué au-delà du délai de grâce.
+
+const { runError } = require('./runErrors');
+
+const sleep = (ms) => new Promise((r) => { setTimeout(r, ms).unref(); });
+
+// parent : signal du job (DELETE /jobs/:id) ; timeoutMs : durée max du run (0 = aucune)
+function createRunScope({
+  signal: parent = null, timeoutMs = 0, artifacts = null, label = 'run',
+} = {}) {
+  const controller = new AbortController();
+  const open = new Set(); // runs ouverts (getContextWithSession) : { release }
+
+  const onParent = () => controller.abort(runError('CANCELLED', `${label} cancelled`));
+  if (parent?.aborted) onParent();
+  else parent?.addEventListener('abort', onParent, { once: true });
+
+  const timer = timeoutMs > 0
+    ? setTimeout(() => controller.abort(runError('RUN_TIMEOUT', `${label} exceeded its ${timeoutMs} ms timeout`)), timeoutMs)
+    : null;
+  timer?.unref();
+
+  // retourne la fonction de désinscription, appelée par release()
+  const track = (run) => {
+    open.add(run);
+    return () => open.delete(run);
+  };
+
+  // Libère ce que le handler n'a pas rendu (bloqué, ou exception avant son finally)
+  async function dispose() {
+    clearTimeout(timer);
+    parent?.removeEventListener('abort', onParent);
+    const leaked = Array.from(open);
+    open.clear();
+    for (const run of leaked) {
+      await run.release({ broken: true }).catch((e) => console.error(`[run] ${label} cleanup:`, e.message || e));
+    }
+    return leaked.length;
+  }
+
+  return {
+    signal: controller.signal, artifacts, label, track, dispose,
+  };
+}
+
+// Exécute fn() dans le scope. Sur abort (timeout / annulation), laisse graceMs au handler
+// pour terminer proprement (sa page est fermée, il renvoie son propre échec), puis abandonne.
+async function runInScope(scope, fn, { graceMs = 5000 } = {}) {
+  const aborted = new Promise((resolve) => {
+    if (scope.signal.aborted) resolve();
+    else scope.signal.addEventListener('abort', resolve, { once: true });
+  });
+  const work = Promise.resolve().then(fn).then((value) => ({ value }), (error) => ({ error }));
+
+  try {
+    let outcome = await Promise.race([work, aborted.then(() => null)]);
+    if (!outcome) outcome = await Promise.race([work, sleep(graceMs).then(() => null)]);
+    if (!outcome) throw scope.signal.reason;
+    if (outcome.error) throw outcome.error;
+    return outcome.value;
+  } finally {
+    const leaked = await scope.dispose();
+    if (leaked) console.warn(`[run] ${scope.label}: ${leaked} context(s) released by the run wrapper`);
+  }
+}
+
+module.exports = { createRunScope, runInScope };
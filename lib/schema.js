@@ -0,0 +1,83 @@
+// lib/schema.js (CommonJS)
+// Validation JSON Schema (sous-ensemble) des corps de requête :
+//   type (string | number | integer | boolean | object | array | null, ou liste), enum, const,
+//   properties, required, additionalProperties (false), items, minItems, maxItems,
+//   minimum, maximum, minLength, maxLength, pattern, anyOf.
+// Erreurs au format des autres validations du service : [{ field, message }].
+
+const typeOf = (v) => {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+const join = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+function check(schema, value, path, errors) {
+  const field = path || '(body)';
+  const err = (message) => errors.push({ field, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      err(`must be ${types.join(' or ')}`);
+      return;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) err(`must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) err(`must be one of: ${schema.enum.join(', ')}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) err(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) err(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) err(`must match ${schema.pattern}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) err(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) err(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) err(`must contain at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) err(`must contain at most ${schema.maxItems} item(s)`);
+    if (schema.items) value.forEach((v, i) => check(schema.items, v, join(path, i), errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ field: join(path, key), message: 'is required' });
+    }
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      if (props[key]) check(props[key], v, join(path, key), errors);
+      else if (schema.additionalProperties === false) errors.push({ field: join(path, key), message: 'is not allowed' });
+    }
+  }
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map((s) => {
+      const sub = [];
+      check(s, value, path, sub);
+      return sub;
+    });
+    if (!branches.some((b) => !b.length)) {
+      err(schema.anyOfMessage || `must match one of: ${schema.anyOf.map((s) => s.description || JSON.stringify(s.required || s.type)).join(' | ')}`);
+    }
+  }
+}
+
+// → { ok: true } | { ok: false, errors: [{ field, message }] }
+function validate(schema, value) {
+  const errors = [];
+  check(schema, value, '', errors);
+  return errors.length ? { ok: false, errors } : { ok: true };
+}
+
+module.exports = { validate };
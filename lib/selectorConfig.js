@@ -0,0 +1,231 @@
+// lib/selectorConfig.js (CommonJS)
+// Configuration versionnée des sélecteurs DOM par plateforme, modifiable à chaud.
+// Version 0 = sélecteurs par défaut du plugin (code) ; chaque mise à jour crée une version
+// complète (n+1) qui devient active. Les modes relisent la version active à chaque run.
+//
+// Fichier (SELECTORS_FILE) : { [platform]: { active, versions: [{ version, selectors, createdAt, createdBy, note }] } }
+// Rechargé si modifié à la main (fs.watchFile).
+//
+// Syntaxe vérifiée avant toute activation : un sélecteur cassé ferait échouer tous les runs.
+// Les clés "dom" du plugin passent par document.querySelectorAll (page.evaluate) : la syntaxe
+// propre au moteur Playwright (:has-text, >>, text=…) y est refusée.
+
+const fs = require('fs');
+const { readJsonFile, writeJsonFileSync } = require('./jsonFile');
+
+const MAX_SELECTOR_LENGTH = 2000;
+
+// Pseudo-classes / moteurs Playwright inconnus de querySelectorAll
+const ENGINE_ONLY_RE = /:(has-text|text-is|text-matches|text|visible|nth-match|right-of|left-of|above|below|near)\b|>>|^\s*(text|css|xpath|id|data-testid|internal:[a-z-]+)=|^\s*\/\//i;
+const COMBINATOR_RE = /^[>+~]|[>+~]$/;
+
+// Erreur de syntaxe d'un sélecteur "a, b, c" → message | null
+// (chaînes et échappements, parenthèses / crochets équilibrés, alternatives vides, combinateur seul)
+function selectorSyntaxError(selector, { dom = false } = {}) {
+  const stack = [];
+  const segments = [];
+  let quote = null;
+  let cur = '';
+  let bare = ''; // segment courant sans le contenu des chaînes (pour ENGINE_ONLY_RE)
+  const str = String(selector);
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (ch === '\\') {
+      cur += str.slice(i, i + 2);
+      i++;
+      continue;
+    }
+    if (quote) {
+      if (ch === quote) quote = null;
+      cur += ch;
+      continue;
+    }
+    if (ch === ',' && !stack.length) {
+      segments.push({ text: cur.trim(), bare: bare.trim() });
+      cur = '';
+      bare = '';
+      continue;
+    }
+    cur += ch;
+    bare += ch;
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '(' || ch === '[') stack.push(ch === '(' ? ')' : ']');
+    else if ((ch === ')' || ch === ']') && stack.pop() !== ch) return `unbalanced "${ch}"`;
+  }
+  if (quote) return 'unterminated string';
+  if (stack.length) return `missing "${stack[stack.length - 1]}"`;
+  segments.push({ text: cur.trim(), bare: bare.trim() });
+
+  for (const { text, bare: b } of segments) {
+    if (!text) return 'empty alternative';
+    if (COMBINATOR_RE.test(text) && !text.includes('>>')) return `dangling combinator in "${text}"`;
+    const engine = dom && ENGINE_ONLY_RE.exec(b);
+    if (engine) {
+      return `"${engine[0].trim()}" is Playwright-only syntax; this selector is evaluated with document.querySelectorAll`;
+    }
+  }
+  return null;
+}
+
+// Valeur d'un sélecteur : chaîne "a, b, c" ou liste d'alternatives → chaîne
+function normalizeValue(value) {
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.length || list.some((s) => typeof s !== 'string' || !s.trim())) return null;
+  return list.map((s) => s.trim()).join(', ');
+}
+
+function createSelectorConfig({ file = null, historyMax = 50, watchMs = 5000 } = {}) {
+  const defaults = new Map(); // platform -> { key: selector }
+  const domKeys = new Map();  // platform -> Set des clés évaluées dans la page (querySelectorAll)
+  let data = {};              // contenu du fichier
+
+  function load() {
+    try {
+      data = readJsonFile(file, {}) || {};
+    } catch (e) {
+      // on garde la configuration en mémoire plutôt que de retomber sur les défauts
+      console.error(`selectorConfig.load: fichier illisible (${file}):`, e.message);
+    }
+  }
+
+  function save() {
+    if (!file) return;
+    try {
+      writeJsonFileSync(file, data);
+    } catch (e) {
+      console.error('selectorConfig.save:', e.message);
+    }
+  }
+
+  const entry = (platform) => data[platform] || { active: 0, versions: [] };
+
+  // Sélecteurs par défaut du plugin ; les clés connues sont celles des défauts
+  // dom : clés passées à document.querySelectorAll (CSS standard uniquement)
+  function register(platform, selectors, { dom = [] } = {}) {
+    defaults.set(platform, { ...selectors });
+    domKeys.set(platform, new Set(dom));
+  }
+
+  // { key: selector } → [{ field, message }]
+  function check(platform, selectors) {
+    const dom = domKeys.get(platform) || new Set();
+    return Object.entries(selectors).flatMap(([key, value]) => {
+      const message = selectorSyntaxError(value, { dom: dom.has(key) });
+      return message ? [{ field: `selectors.${key}`, message: `invalid selector: ${message}` }] : [];
+    });
+  }
+
+  // → { platform, version, selectors, createdAt, createdBy, note } ; clés absentes de la version → défaut
+  function get(platform) {
+    const base = defaults.get(platform);
+    if (!base) return null;
+    const e = entry(platform);
+    const v = e.active ? e.versions.find((x) => x.version === e.active) : null;
+    return {
+      platform,
+      version: v ? v.version : 0,
+      selectors: { ...base, ...(v ? v.selectors : {}) },
+      createdAt: v?.createdAt || null,
+      createdBy: v ? v.createdBy : 'default',
+      note: v?.note || null,
+    };
+  }
+
+  // patch : { key: "a, b" | ["a", "b"] | null (retour au défaut) }
+  // baseVersion : version sur laquelle l'appelant s'est basé (conflit si elle n'est plus active)
+  // → { config } | { errors: [{ field, message }] } | { conflict: activeVersion }
+  function update(platform, patch, { by = null, note = null, baseVersion } = {}) {
+    const current = get(platform);
+    if (!current) return { errors: [{ field: 'platform', message: 'has no selector set' }] };
+    if (baseVersion !== undefined && baseVersion !== current.version) return { conflict: current.version };
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch) || !Object.keys(patch).length) {
+      return { errors: [{ field: 'selectors', message: 'must be a non-empty object' }] };
+    }
+
+    const base = defaults.get(platform);
+    const errors = [];
+    const next = { ...current.selectors };
+    for (const [key, value] of Object.entries(patch)) {
+      const field = `selectors.${key}`;
+      if (!(key in base)) {
+        errors.push({ field, message: `unknown selector (known: ${Object.keys(base).join(', ')})` });
+        continue;
+      }
+      if (value === null) {
+        next[key] = base[key];
+        continue;
+      }
+      const normalized = normalizeValue(value);
+      if (!normalized) errors.push({ field, message: 'must be a non-empty string or a list of non-empty strings' });
+      else if (normalized.length > MAX_SELECTOR_LENGTH) errors.push({ field, message: `must be at most ${MAX_SELECTOR_LENGTH} characters` });
+      else {
+        next[key] = normalized;
+        errors.push(...check(platform, { [key]: normalized }));
+      }
+    }
+    if (errors.length) return { errors };
+
+    // seules les valeurs différentes des défauts sont stockées
+    const overrides = Object.fromEntries(Object.entries(next).filter(([k, v]) => v !== base[k]));
+    const e = entry(platform);
+    const version = Math.max(0, ...e.versions.map((x) => x.version)) + 1;
+    e.versions.push({
+      version, selectors: overrides, createdAt: new Date().toISOString(), createdBy: by, note,
+    });
+    // on purge les plus anciennes versions inactives au-delà de historyMax
+    while (e.versions.length > historyMax) {
+      const i = e.versions.findIndex((x) => x.version !== e.active);
+      e.versions.splice(i, 1);
+    }
+    e.active = version;
+    data[platform] = e;
+    save();
+    return { config: get(platform) };
+  }
+
+  // Retour à une version existante (0 = défauts du plugin) → { config } | { errors } | null
+  // (version antérieure à la vérification, ou fichier édité à la main : revérifiée)
+  function activate(platform, version) {
+    if (!defaults.has(platform)) return null;
+    const e = entry(platform);
+    const v = e.versions.find((x) => x.version === version);
+    if (version !== 0 && !v) return null;
+    const errors = v ? check(platform, v.selectors) : [];
+    if (errors.length) return { errors };
+    e.active = version;
+    data[platform] = e;
+    save();
+    return { config: get(platform) };
+  }
+
+  const versions = (platform) => [
+    { version: 0, createdBy: 'default', active: entry(platform).active === 0 },
+    ...entry(platform).versions.map((v) => ({
+      version: v.version,
+      createdAt: v.createdAt,
+      createdBy: v.createdBy,
+      note: v.note,
+      overrides: Object.keys(v.selectors),
+      active: v.version === entry(platform).active,
+    })),
+  ];
+
+  load();
+  let watching = false;
+  if (file && watchMs) {
+    // édition manuelle du fichier : rechargée sans redémarrage
+    fs.watchFile(file, { interval: watchMs, persistent: false }, (cur, prev) => {
+      if (cur.mtimeMs === prev.mtimeMs) return;
+      load();
+      console.log(`[selectors] ${file} rechargé`);
+    });
+    watching = true;
+  }
+  const stop = () => watching && fs.unwatchFile(file);
+
+  return {
+    register, get, update, activate, versions, reload: load, stop,
+  };
+}
+
+module.exports = { createSelectorConfig, selectorSyntaxError };
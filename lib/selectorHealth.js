@@ -0,0 +1,162 @@
+// lib/selectorHealth.js (CommonJS)
+// Santé des sélecteurs : nombre de correspondances de chaque alternative ("a, b, c") relevé
+// pendant les runs, taux de succès (run avec ≥ 1 correspondance) cumulé et sur les derniers runs.
+// Un sélecteur attendu (présent sur toute page de commentaires) sans aucune correspondance sur
+// `degradeAfter` runs consécutifs passe "degraded" → onDegraded ; onRecovered au premier succès.
+//
+// Fichier (SELECTOR_HEALTH_FILE) : { [platform]: { [key]: état } }
+
+const { readJsonFile, writeJsonFileSync } = require('./jsonFile');
+
+// Découpe "a, b:has-text(\"x, y\"), :is(c, d)" sur les virgules de premier niveau
+function splitAlternatives(selector) {
+  const out = [];
+  let depth = 0;
+  let quote = null;
+  let cur = '';
+  for (const ch of String(selector)) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '(' || ch === '[') depth++;
+    else if (ch === ')' || ch === ']') depth--;
+    else if (ch === ',' && depth === 0) {
+      if (cur.trim()) out.push(cur.trim());
+      cur = '';
+      continue;
+    }
+    cur += ch;
+  }
+  if (cur.trim()) out.push(cur.trim());
+  return out;
+}
+
+// Compte chaque alternative sur la page (moteur Playwright : :has-text, etc.)
+// → { key: { alternative: count | null } } (null = sélecteur refusé par le moteur)
+async function measureSelectors(page, selectors) {
+  const counts = {};
+  for (const [key, selector] of Object.entries(selectors)) {
+    counts[key] = {};
+    for (const alt of splitAlternatives(selector)) {
+      counts[key][alt] = await page.locator(alt).count().catch(() => null);
+    }
+  }
+  return counts;
+}
+
+function createSelectorHealth({
+  file = null,
+  degradeAfter = 3,
+  windowRuns = 20,
+  onDegraded = null,  // ({ platform, key, version, zeroStreak, since }) => void
+  onRecovered = null, // ({ platform, key, version }) => void
+} = {}) {
+  let data = {};
+  try {
+    data = readJsonFile(file, {}) || {};
+  } catch (e) {
+    console.error(`selectorHealth.load: fichier illisible (${file}):`, e.message);
+  }
+
+  function save() {
+    if (!file) return;
+    try {
+      writeJsonFileSync(file, data);
+    } catch (e) {
+      console.error('selectorHealth.save:', e.message);
+    }
+  }
+
+  const notify = (fn, payload) => {
+    if (!fn) return;
+    Promise.resolve().then(() => fn(payload)).catch((e) => console.error('[selectors] alert:', e.message || e));
+  };
+
+  // counts : measureSelectors() ; expected : clés qui doivent correspondre sur chaque run mesuré
+  function record(platform, { version = 0, counts, expected = [] }) {
+    const now = new Date().toISOString();
+    const byKey = data[platform] || (data[platform] = {});
+
+    for (const [key, alts] of Object.entries(counts)) {
+      const s = byKey[key] || (byKey[key] = {
+        runs: 0, zeroStreak: 0, degraded: false, degradedSince: null, alternatives: {},
+      });
+      s.runs++;
+      s.version = version;
+      s.lastRunAt = now;
+
+      // alternatives retirées de la config : plus suivies
+      for (const alt of Object.keys(s.alternatives)) if (!(alt in alts)) delete s.alternatives[alt];
+
+      let total = 0;
+      for (const [alt, count] of Object.entries(alts)) {
+        const a = s.alternatives[alt] || (s.alternatives[alt] = {
+          runs: 0, hits: 0, lastCount: null, lastHitAt: null, recent: [],
+        });
+        const hit = Number(count) > 0;
+        a.runs++;
+        a.lastCount = count;
+        a.invalid = count === null;
+        if (hit) {
+          a.hits++;
+          a.lastHitAt = now;
+          total += count;
+        }
+        a.recent = [...a.recent, hit ? 1 : 0].slice(-windowRuns);
+      }
+      s.lastCount = total;
+
+      if (total > 0) {
+        s.zeroStreak = 0;
+        if (s.degraded) {
+          s.degraded = false;
+          s.degradedSince = null;
+          notify(onRecovered, { platform, key, version });
+        }
+      } else {
+        s.zeroStreak++;
+        if (expected.includes(key) && !s.degraded && s.zeroStreak >= degradeAfter) {
+          s.degraded = true;
+          s.degradedSince = now;
+          notify(onDegraded, {
+            platform, key, version, zeroStreak: s.zeroStreak, since: now,
+          });
+        }
+      }
+    }
+    save();
+  }
+
+  const rate = (hits, runs) => (runs ? Math.round((hits / runs) * 1000) / 1000 : null);
+
+  // Vue par clé : taux cumulé / récent de chaque alternative, drapeau degraded
+  function report(platform) {
+    const byKey = data[platform] || {};
+    return Object.fromEntries(Object.entries(byKey).map(([key, s]) => [key, {
+      degraded: s.degraded,
+      degradedSince: s.degradedSince,
+      zeroStreak: s.zeroStreak,
+      runs: s.runs,
+      lastCount: s.lastCount,
+      lastRunAt: s.lastRunAt,
+      version: s.version,
+      alternatives: Object.entries(s.alternatives).map(([selector, a]) => ({
+        selector,
+        hitRate: rate(a.hits, a.runs),
+        recentHitRate: rate(a.recent.reduce((n, x) => n + x, 0), a.recent.length),
+        runs: a.runs,
+        lastCount: a.lastCount,
+        lastHitAt: a.lastHitAt,
+        ...(a.invalid ? { invalid: true } : {}),
+      })),
+    }]));
+  }
+
+  const degraded = () => Object.entries(data).flatMap(([platform, byKey]) => Object.entries(byKey)
+    .filter(([, s]) => s.degraded)
+    .map(([key, s]) => ({ platform, key, since: s.degradedSince, zeroStreak: s.zeroStreak })));
+
+  return { record, report, degraded };
+}
+
+module.exports = { splitAlternatives, measureSelectors, createSelectorHealth };
@@ -0,0 +1,160 @@
+// lib/sessionHealth.js (CommonJS)
+// Surveillance des sessions : mode de vérification du plugin (ex: tiktok.check) périodique sur
+// chaque account/platform, résultat + date de vérification enregistrés dans le store,
+// expiration des cookies critiques de la plateforme.
+//
+// Statuts : valid | expiring | invalid | unknown (jamais vérifiée)
+// Seul le détecteur de connexion (loggedOut / challenged) rend une session invalide : un échec
+// d'infrastructure (navigateur, pool, proxy…) garde le verdict précédent et est noté dans
+// last_check.failure.
+
+// défaut (TikTok) quand le plugin ne déclare pas ses cookies critiques
+const CRITICAL_COOKIES = ['sessionid', 'sid_guard', 'msToken'];
+
+// Expiration la plus proche parmi les cookies critiques présents (epoch secondes)
+function earliestExpiry(cookies = [], critical = CRITICAL_COOKIES) {
+  let earliest = null;
+  const missing = [];
+  for (const name of critical) {
+    const c = (cookies || []).find((x) => x && x.name === name);
+    if (!c) {
+      missing.push(name);
+      continue;
+    }
+    let exp = Number(c.expirationDate ?? c.expiry ?? c.expires);
+    if (!Number.isFinite(exp) || exp <= 0) continue; // cookie de session : pas d'échéance connue
+    if (exp > 1e12) exp = Math.floor(exp / 1000);
+    if (!earliest || exp < earliest.expiresAt) earliest = { name, expiresAt: Math.floor(exp) };
+  }
+  return {
+    cookie: earliest ? earliest.name : null,
+    expiresAt: earliest ? new Date(earliest.expiresAt * 1000).toISOString() : null,
+    missing,
+  };
+}
+
+// Verdict du détecteur de connexion dans un résultat de check (réussi ou LOGGED_OUT / CHALLENGED)
+const LOGIN_CODES = { LOGGED_OUT: 'loggedOut', CHALLENGED: 'challenged' };
+const loginStateOf = (result) => result?.loginState || result?.login?.state || LOGIN_CODES[result?.code] || null;
+
+function classifySession(row, { now = Date.now(), warnMs = 7 * 86400e3, critical = CRITICAL_COOKIES } = {}) {
+  const expiry = earliestExpiry(row.cookies, critical);
+  const exp = expiry.expiresAt ? Date.parse(expiry.expiresAt) : null;
+
+  let status;
+  if (exp !== null && exp <= now) status = 'invalid';
+  else if (!row.last_verified_at) status = 'unknown';
+  else if (!row.last_check) status = 'invalid';
+  else if (row.last_check.loggedIn !== true) {
+    // anciennes vérifications : échec sans verdict du détecteur → indéterminé
+    status = row.last_check.ok === false && !row.last_check.state ? 'unknown' : 'invalid';
+  }
+  else if (exp !== null && exp - now <= warnMs) status = 'expiring';
+  else status = 'valid';
+
+  return { status, expiry };
+}
+
+// check : async ({ platform, account }) => résultat du mode de vérification (loggedIn, loginState…)
+// platforms : () => plateformes surveillées ; criticalFor : (platform) => cookies critiques
+function createSessionMonitor({
+  store,
+  check,
+  platforms = () => ['tiktok'],
+  criticalFor = () => CRITICAL_COOKIES,
+  intervalMs = 6 * 3600e3,
+  warnMs = 7 * 86400e3,
+}) {
+  let timer = null;
+  let running = null;
+  let lastRun = null;
+
+  async function checkOne(row) {
+    const { platform, account } = row;
+    let result;
+    try {
+      result = await check({ platform, account });
+    } catch (e) {
+      result = { ok: false, code: e.code, error: e.message || String(e) };
+    }
+
+    const state = loginStateOf(result);
+    const critical = criticalFor(platform);
+
+    // pas de verdict (navigateur absent, pool saturé, proxy injoignable…) : rien n'a été vérifié
+    if (!(result && result.ok) && !state) {
+      const failure = {
+        code: result?.code || 'INTERNAL',
+        error: result?.error || 'check failed',
+        at: new Date().toISOString(),
+      };
+      const last_check = { ...(row.last_check || {}), failure };
+      const { status, expiry } = classifySession({ ...row, last_check }, { warnMs, critical });
+      await store.upsert({
+        platform, account, status, last_check, cookies_expire_at: expiry.expiresAt,
+      });
+      return { platform, account, status, code: failure.code };
+    }
+
+    const last_check = {
+      ok: Boolean(result.ok),
+      loggedIn: result.ok ? Boolean(result.loggedIn) : false,
+      state, // loggedIn | loggedOut | challenged
+      reason: result.loginReason || result.login?.reason || null,
+      error: result.ok ? null : result.error || 'check failed',
+      url: result.url || null,
+    };
+    const verified = { ...row, last_check, last_verified_at: new Date().toISOString() };
+    const { status, expiry } = classifySession(verified, { warnMs, critical });
+
+    await store.upsert({
+      platform,
+      account,
+      status,
+      last_check,
+      last_verified_at: verified.last_verified_at,
+      cookies_expire_at: expiry.expiresAt,
+    });
+    return { platform, account, status };
+  }
+
+  // Vérifie toutes les sessions une par une (le pool limite déjà la concurrence)
+  function runOnce() {
+    if (running) return running;
+    running = (async () => {
+      const started = Date.now();
+      const results = [];
+      const watched = platforms();
+      const rows = (await store.list()).filter((r) => watched.includes(r.platform));
+      for (const row of rows) {
+        try {
+          results.push(await checkOne(row));
+        } catch (e) {
+          results.push({ platform: row.platform, account: row.account, error: e.message || String(e) });
+        }
+      }
+      lastRun = { at: new Date(started).toISOString(), durationMs: Date.now() - started, results };
+      return lastRun;
+    })().finally(() => { running = null; });
+    return running;
+  }
+
+  function start() {
+    if (!intervalMs || timer) return;
+    timer = setInterval(() => {
+      runOnce().catch((e) => console.error('[sessions] monitor:', e.message));
+    }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  const stats = () => ({ intervalMs, running: Boolean(running), lastRun });
+
+  return { start, stop, runOnce, stats };
+}
+
+module.exports = { CRITICAL_COOKIES, earliestExpiry, classifySession, createSessionMonitor };
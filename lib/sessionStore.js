@@ -0,0 +1,182 @@
+// lib/sessionStore.js (CommonJS)
+// Stockage des sessions (table logique tiktok_sessions, clé platform+account).
+// Backends : supabase | file | memory, choisi par SESSION_STORE.
+//
+// Interface commune :
+//   upsert(row)               → row enregistrée (fusion sur platform+account)
+//   load(platform, account)   → row | null
+//   list()                    → rows
+//   remove(platform, account) → boolean
+//   listApiKeys()             → [{ name, key_hash, scopes, disabled }] (voir lib/auth.js)
+//
+// Schéma Supabase : migrations sql/*.sql, à appliquer dans l'ordre (SQL editor ou `psql -f`).
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+
+const TABLE = 'tiktok_sessions';
+
+const sameKey = (row, platform, account) => row.platform === platform && row.account === account;
+
+// ---------- SUPABASE ----------
+function createSupabaseStore({ url, serviceRoleKey, table = TABLE, apiKeysTable = 'api_keys' }) {
+  if (!url || !serviceRoleKey) throw new Error('Supabase not configured');
+  const supabase = createClient(url, serviceRoleKey, { auth: { persistSession: false } });
+
+  async function upsert(row) {
+    const { data, error } = await supabase
+      .from(table)
+      .upsert(row, { onConflict: 'platform,account' })
+      .select()
+      .limit(1);
+
+    if (error) throw error;
+    return data && data[0];
+  }
+
+  async function load(platform, account) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .eq('platform', platform)
+      .eq('account', account)
+      .order('id', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    if (!data || !data.length) return null;
+    return data[0];
+  }
+
+  async function list() {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .order('id', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function remove(platform, account) {
+    const { data, error } = await supabase
+      .from(table)
+      .delete()
+      .eq('platform', platform)
+      .eq('account', account)
+      .select('id');
+
+    if (error) throw error;
+    return Boolean(data && data.length);
+  }
+
+  async function listApiKeys() {
+    const { data, error } = await supabase
+      .from(apiKeysTable)
+      .select('name,key_hash,scopes,disabled');
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  return { kind: 'supabase', client: supabase, upsert, load, list, remove, listApiKeys };
+}
+
+// ---------- MEMORY ----------
+// `persist(rows)` optionnel : appelé après chaque écriture (utilisé par le backend file)
+function createMemoryStore({ rows: initial = [], apiKeys = [], persist = null } = {}) {
+  const rows = initial.map((r) => ({ ...r }));
+  let nextId = rows.reduce((m, r) => Math.max(m, Number(r.id) || 0), 0) + 1;
+  let chain = Promise.resolve(); // écritures sérialisées
+
+  const clone = (r) => (r ? JSON.parse(JSON.stringify(r)) : null);
+
+  function upsert(row) {
+    const run = chain.then(async () => {
+      const now = new Date().toISOString();
+      let cur = rows.find((r) => sameKey(r, row.platform, row.account));
+      if (cur) {
+        Object.assign(cur, clone(row), { updated_at: now });
+      } else {
+        cur = { id: nextId++, ...clone(row), created_at: now, updated_at: now };
+        rows.push(cur);
+      }
+      if (persist) await persist(rows);
+      return clone(cur);
+    });
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  async function load(platform, account) {
+    return clone(rows.find((r) => sameKey(r, platform, account)));
+  }
+
+  async function list() {
+    return rows.map(clone);
+  }
+
+  function remove(platform, account) {
+    const run = chain.then(async () => {
+      const i = rows.findIndex((r) => sameKey(r, platform, account));
+      if (i === -1) return false;
+      rows.splice(i, 1);
+      if (persist) await persist(rows);
+      return true;
+    });
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  async function listApiKeys() {
+    return apiKeys.map(clone);
+  }
+
+  return { kind: 'memory', upsert, load, list, remove, listApiKeys };
+}
+
+// ---------- FILE (JSON local) ----------
+// { "sessions": [...], "apiKeys": [...] } ; apiKeys est en lecture seule ici
+function createFileStore({ file }) {
+  let rows = [];
+  let apiKeys = [];
+  if (fs.existsSync(file)) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    rows = Array.isArray(parsed.sessions) ? parsed.sessions : [];
+    apiKeys = Array.isArray(parsed.apiKeys) ? parsed.apiKeys : [];
+  }
+
+  const persist = async (all) => {
+    const tmp = `${file}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tmp, JSON.stringify({ sessions: all, apiKeys }, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tmp, file);
+  };
+
+  return { ...createMemoryStore({ rows, apiKeys, persist }), kind: 'file', file };
+}
+
+// ---------- FACTORY ----------
+function createSessionStore(env = process.env) {
+  const hasSupabase = Boolean(env.SUPABASE_URL && env.SUPABASE_SERVICE_ROLE_KEY);
+  const kind = (env.SESSION_STORE || (hasSupabase ? 'supabase' : 'memory')).toLowerCase();
+
+  if (kind === 'supabase') {
+    return createSupabaseStore({ url: env.SUPABASE_URL, serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY });
+  }
+  if (kind === 'file') {
+    return createFileStore({ file: env.SESSION_STORE_FILE || 'data/sessions.json' });
+  }
+  if (kind === 'memory') {
+    return createMemoryStore();
+  }
+  throw new Error(`Unknown SESSION_STORE "${kind}" (expected supabase | file | memory)`);
+}
+
+module.exports = {
+  createSessionStore,
+  createSupabaseStore,
+  createFileStore,
+  createMemoryStore,
+};
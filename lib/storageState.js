@@ -0,0 +1,77 @@
+// lib/storageState.js (CommonJS)
+// storageState complet par account : localStorage + IndexedDB (Playwright) et
+// sessionStorage (non géré par Playwright : capturé par page, réinjecté par init script).
+//
+// Forme stockée (colonne storage_state) :
+//   { origins: [{ origin, localStorage, indexedDB? }], sessionStorage: { [origin]: { k: v } }, capturedAt }
+
+// Options de newContext() pour restaurer localStorage / IndexedDB
+const contextStorageOptions = (state) => {
+  const origins = state?.origins;
+  return Array.isArray(origins) && origins.length ? { storageState: { cookies: [], origins } } : {};
+};
+
+// Réinjecte sessionStorage au chargement de chaque document de l'origine concernée,
+// sans écraser ce que la page a déjà posé.
+async function applySessionStorage(context, sessionStorage) {
+  if (!sessionStorage || !Object.keys(sessionStorage).length) return;
+  await context.addInitScript((byOrigin) => {
+    const data = byOrigin[window.location.origin];
+    if (!data) return;
+    try {
+      for (const [k, v] of Object.entries(data)) {
+        if (window.sessionStorage.getItem(k) === null) window.sessionStorage.setItem(k, v);
+      }
+    } catch (_) {}
+  }, sessionStorage);
+}
+
+// sessionStorage des pages ouvertes, par origine
+async function readSessionStorage(pages = []) {
+  const out = {};
+  for (const page of pages) {
+    if (!page || page.isClosed()) continue;
+    const snap = await page.evaluate(() => {
+      const data = {};
+      for (let i = 0; i < window.sessionStorage.length; i++) {
+        const k = window.sessionStorage.key(i);
+        data[k] = window.sessionStorage.getItem(k);
+      }
+      return { origin: window.location.origin, data };
+    }).catch(() => null);
+    if (snap && snap.origin && snap.origin !== 'null' && Object.keys(snap.data).length) {
+      out[snap.origin] = { ...(out[snap.origin] || {}), ...snap.data };
+    }
+  }
+  return out;
+}
+
+// Capture l'état du context (hors cookies, stockés à part)
+async function captureStorageState(context, { pages = context.pages(), indexedDB = true } = {}) {
+  const state = await context.storageState({ indexedDB });
+  return {
+    origins: state.origins || [],
+    sessionStorage: await readSessionStorage(pages),
+    capturedAt: new Date().toISOString(),
+  };
+}
+
+// Résumé sans valeurs (pour les réponses API)
+const summarizeStorageState = (state) => ({
+  capturedAt: state?.capturedAt || null,
+  origins: (state?.origins || []).map((o) => ({
+    origin: o.origin,
+    localStorage: (o.localStorage || []).length,
+    indexedDB: (o.indexedDB || []).length,
+  })),
+  sessionStorage: Object.fromEntries(
+    Object.entries(state?.sessionStorage || {}).map(([origin, data]) => [origin, Object.keys(data).length]),
+  ),
+});
+
+module.exports = {
+  contextStorageOptions,
+  applySessionStorage,
+  captureStorageState,
+  summarizeStorageState,
+};
@@ -0,0 +1,436 @@
+// plugins/tiktok/comments.js (CommonJS)
+// Commentaires TikTok :
+//  - capture des réponses JSON de l'API web (/api/comment/list/…) via page.on('response')
+//  - scraping complet du fil dans le DOM : scroll jusqu'à épuisement / quota /
+//    budget temps, dépliage des "View replies", métadonnées.
+//  - ciblage d'un commentaire et vérification qu'une réponse a bien été publiée
+
+const crypto = require('crypto');
+const { splitAlternatives } = require('../../lib/selectorHealth');
+
+// "1.2K" → 1200, "3,4 M" → 3400000, "12" → 12, "1,234" → 1234, "View 3 more replies" → 3
+// Suffixe seulement collé aux chiffres (un espace toléré) et non suivi d'une lettre ;
+// virgule décimale seulement devant un suffixe ; sans suffixe un compteur est entier,
+// "," "." et les espaces groupant 3 chiffres y sont des séparateurs de milliers.
+const parseCount = (txt) => {
+  if (txt === null || txt === undefined) return null;
+  const s = String(txt);
+  const suffixed = /(\d[\d.,]*)\s?([kmb])(?![a-z])/i.exec(s);
+  if (suffixed) {
+    const n = Number(suffixed[1].replace(',', '.'));
+    if (!Number.isFinite(n)) return null;
+    return Math.round(n * { k: 1e3, m: 1e6, b: 1e9 }[suffixed[2].toLowerCase()]);
+  }
+  const plain = /\d{1,3}(?:[.,\s\u00a0\u202f]\d{3})+(?!\d)|\d+/.exec(s);
+  return plain ? Number(plain[0].replace(/\D/g, '')) : null;
+};
+
+// Dates affichées par TikTok : "2h ago", "il y a 3 j", "3d", "1-15", "2023-1-15"
+const UNIT_MS = { s: 1e3, m: 60e3, min: 60e3, h: 3600e3, d: 86400e3, j: 86400e3, w: 7 * 86400e3, sem: 7 * 86400e3 };
+function parseCreatedAt(txt, now = new Date()) {
+  if (!txt) return null;
+  const s = String(txt).trim().toLowerCase();
+
+  const rel = /(\d+)\s*(min|sem|s|m|h|d|j|w)\b/.exec(s);
+  if (rel) return new Date(now.getTime() - Number(rel[1]) * UNIT_MS[rel[2]]).toISOString();
+
+  const full = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(s);
+  if (full) return new Date(Date.UTC(+full[1], +full[2] - 1, +full[3])).toISOString();
+
+  const short = /^(\d{1,2})-(\d{1,2})$/.exec(s);
+  if (short) return new Date(Date.UTC(now.getUTCFullYear(), +short[1] - 1, +short[2])).toISOString();
+
+  return null;
+}
+
+// Id stable quand le DOM n'expose pas le cid TikTok
+const domId = (parts) => `dom:${crypto.createHash('sha1').update(parts.join('\u0000')).digest('hex').slice(0, 16)}`;
+
+// Alternatives de chaque clé, découpées côté Node (virgules imbriquées : :is(a, b), [x="a,b"])
+const alternativesOf = (SEL) => Object.fromEntries(Object.entries(SEL).map(([k, v]) => [k, splitAlternatives(v)]));
+
+// Extraction dans la page : un objet brut par commentaire (racines + réponses visibles)
+function extractRaw(page, SEL) {
+  return page.evaluate(({ SEL, ALT }) => {
+    const pick = (el, alts) => {
+      for (const s of alts) {
+        const t = el.querySelector(s);
+        const val = t?.textContent?.trim();
+        if (val) return { el: t, text: val };
+      }
+      return null;
+    };
+    const handleOf = (el) => {
+      const a = el.querySelector('a[href^="/@"]');
+      const m = a && /^\/@([^/?#]+)/.exec(a.getAttribute('href') || '');
+      return m ? decodeURIComponent(m[1]) : null;
+    };
+
+    const read = (el, parentId, depth, threadIndex, replyIndex) => {
+      const user = pick(el, ALT.user);
+      const text = pick(el, ALT.text);
+      const time = pick(el, ALT.time);
+      const likes = pick(el, ALT.likeCount);
+      return {
+        domId: el.getAttribute('id') || el.querySelector('[id]')?.getAttribute('id') || null,
+        parentDomId: parentId,
+        depth,
+        threadIndex,
+        replyIndex,
+        handle: handleOf(el),
+        displayName: user?.text || null,
+        text: text?.text || null,
+        timeText: time?.text || null,
+        likeText: likes?.text || null,
+      };
+    };
+
+    const out = [];
+    const threads = document.querySelectorAll(SEL.thread);
+    threads.forEach((thread, ti) => {
+      const root = thread.querySelector(SEL.content) || thread;
+      const top = read(root, null, 0, ti, null);
+      const more = thread.querySelector(SEL.viewReplies);
+      top.replyText = more?.textContent?.trim() || null;
+      out.push(top);
+
+      // :is() pour que chaque alternative des deux listes reste dans la portée des réponses
+      const replies = thread.querySelectorAll(`:is(${SEL.replyContainer}) :is(${SEL.content})`);
+      replies.forEach((r, ri) => out.push(read(r, top.domId, 1, ti, ri)));
+      top.visibleReplies = replies.length;
+    });
+    return out;
+  }, { SEL, ALT: alternativesOf(SEL) });
+}
+
+// Normalise les objets bruts ; les réponses sans id DOM héritent d'un id dérivé du parent.
+// withPosition : ajoute { thread, reply } pour retrouver l'élément (cf. commentLocator)
+function normalize(raw, { withPosition = false } = {}) {
+  const idOf = new Map();
+  const comments = [];
+  let lastTopId = null;
+
+  for (const r of raw) {
+    const parentId = r.depth === 0 ? null : lastTopId;
+    const id = r.domId && /^\d{6,}$/.test(r.domId)
+      ? r.domId
+      : domId([parentId || '', r.handle || '', r.displayName || '', r.text || '']);
+    if (r.depth === 0) lastTopId = id;
+    if (idOf.has(id)) continue;
+    idOf.set(id, true);
+
+    const announced = parseCount(r.replyText);
+    comments.push({
+      ...(withPosition ? { position: { thread: r.threadIndex, reply: r.replyIndex } } : {}),
+      id,
+      parentId,
+      author: { handle: r.handle, displayName: r.displayName },
+      text: r.text,
+      createdAt: parseCreatedAt(r.timeText),
+      createdAtText: r.timeText,
+      likeCount: parseCount(r.likeText) ?? 0,
+      replyCount: r.depth === 0 ? Math.max(announced ?? 0, r.visibleReplies || 0) : 0,
+    });
+  }
+  return comments;
+}
+
+// Déplie les fils de réponses visibles ("View 3 replies", "Voir plus", …)
+async function expandReplies(page, SEL, maxClicks) {
+  let clicks = 0;
+  const buttons = page.locator(SEL.viewReplies);
+  const n = await buttons.count().catch(() => 0);
+  for (let i = 0; i < n && clicks < maxClicks; i++) {
+    const btn = buttons.nth(i);
+    if (!(await btn.isVisible().catch(() => false))) continue;
+    // "Hide" / "Masquer" : déjà déplié
+    const label = ((await btn.textContent().catch(() => '')) || '').toLowerCase();
+    if (/hide|masquer/.test(label)) continue;
+    const ok = await btn.click({ timeout: 2000 }).then(() => true, () => false);
+    if (ok) {
+      clicks++;
+      await page.waitForTimeout(350);
+    }
+  }
+  return clicks;
+}
+
+// Scroll jusqu'à : fil épuisé (N tours sans nouveauté), maxComments atteint, ou budget temps
+async function scrapeThread(page, SEL, {
+  maxComments = 500,
+  timeBudgetMs = 60000,
+  expand = true,
+  maxExpandPerRound = 10,
+  idleRounds = 4,
+} = {}) {
+  const started = Date.now();
+  let comments = [];
+  let idle = 0;
+  let rounds = 0;
+  let stopReason = 'exhausted';
+
+  for (;;) {
+    rounds++;
+    const clicks = expand ? await expandReplies(page, SEL, maxExpandPerRound) : 0;
+
+    // dernier item dans le viewport → déclenche le chargement de la page suivante
+    const items = page.locator(SEL.thread);
+    await items.last().scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+    await page.mouse.wheel(0, 900);
+    await page.waitForTimeout(600);
+
+    const next = normalize(await extractRaw(page, SEL));
+    idle = next.length > comments.length || clicks > 0 ? 0 : idle + 1;
+    comments = next;
+
+    if (comments.length >= maxComments) { stopReason = 'maxComments'; break; }
+    if (Date.now() - started >= timeBudgetMs) { stopReason = 'timeBudget'; break; }
+    if (idle >= idleRounds) { stopReason = 'exhausted'; break; }
+  }
+
+  return {
+    comments: comments.slice(0, maxComments),
+    stopReason,
+    exhausted: stopReason === 'exhausted',
+    rounds,
+    elapsedMs: Date.now() - started,
+  };
+}
+
+// ---------- CIBLAGE D'UN COMMENTAIRE ----------
+const norm = (s) => String(s ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+const normHandle = (s) => norm(s).replace(/^@/, '');
+
+// Locator du bloc d'un commentaire à partir de sa position DOM
+function commentLocator(page, SEL, position) {
+  const thread = page.locator(SEL.thread).nth(position.thread);
+  if (position.reply === null || position.reply === undefined) return thread.locator(SEL.content).first();
+  return thread.locator(`:is(${SEL.replyContainer}) :is(${SEL.content})`).nth(position.reply);
+}
+
+// target : { commentId } ou { match: { author, textContains } }
+// capture : captureCommentResponses() (optionnel) pour relier un cid à son auteur/texte
+// Scrolle (et déplie les réponses) jusqu'à trouver UN seul candidat ; refuse sinon.
+async function findComment(page, SEL, target, { capture = null, maxRounds = 12 } = {}) {
+  const { commentId, match } = target;
+  if (!commentId && !(match && (match.author || match.textContains))) {
+    throw new Error('findComment: "commentId" or "match.author"/"match.textContains" is required');
+  }
+
+  let candidates = [];
+  let loaded = 0;
+  for (let round = 0; round <= maxRounds; round++) {
+    const net = capture ? await capture.collect() : [];
+    const netTarget = commentId ? net.find((c) => c.id === String(commentId)) : null;
+
+    const comments = normalize(await extractRaw(page, SEL), { withPosition: true });
+    loaded = comments.length;
+
+    candidates = comments.filter((c) => {
+      if (commentId) {
+        if (c.id === String(commentId)) return true;
+        // DOM sans cid : on retombe sur l'auteur + texte connus via l'API
+        return Boolean(netTarget)
+          && normHandle(c.author.handle) === normHandle(netTarget.author.handle)
+          && norm(c.text) === norm(netTarget.text);
+      }
+      const who = normHandle(match.author);
+      if (who && normHandle(c.author.handle) !== who && norm(c.author.displayName) !== norm(match.author)) return false;
+      if (match.textContains && !norm(c.text).includes(norm(match.textContains))) return false;
+      return true;
+    });
+
+    if (candidates.length) {
+      const comment = commentId && netTarget ? { ...candidates[0], id: netTarget.id, parentId: netTarget.parentId } : candidates[0];
+      if (candidates.length > 1) {
+        return {
+          ok: false,
+          reason: 'ambiguous',
+          error: `Target matches ${candidates.length} comments, refusing to reply`,
+          candidates: candidates.map(({ position, ...c }) => c),
+        };
+      }
+      const { position, ...rest } = comment;
+      return { ok: true, comment: rest, locator: commentLocator(page, SEL, position), loaded };
+    }
+
+    if (round === maxRounds) break;
+    await expandReplies(page, SEL, 10);
+    await page.locator(SEL.thread).last().scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+    await page.mouse.wheel(0, 900);
+    await page.waitForTimeout(600);
+  }
+
+  return { ok: false, reason: 'not_found', error: 'Target comment not found', loaded };
+}
+
+// ---------- VÉRIFICATION DE PUBLICATION ----------
+const PUBLISH_API_RE = /\/api\/comment\/publish\/?(\?|$)/;
+const RATE_LIMIT_RE = /too fast|too frequent|rate limit|slow down|try again later|trop vite|trop fréquent|ralenti|réessaye[rz]? plus tard/i;
+const TOAST_SEL = '[role="alert"], [data-e2e="toast"], div[class*="Toast"], div[class*="toast"]';
+const CAPTCHA_SEL = '#captcha-verify-container, [class*="captcha_verify"], [class*="captcha-verify"], iframe[src*="captcha"]';
+
+const classify = (msg) => (RATE_LIMIT_RE.test(msg || '') ? 'rate_limited' : 'rejected_by_tiktok');
+
+// Nombre de commentaires affichés dont le texte vaut exactement `text`
+const countText = (page, SEL, text) => page.evaluate(({ sel, text }) => {
+  const want = text.replace(/\s+/g, ' ').trim();
+  return Array.from(document.querySelectorAll(sel))
+    .filter((el) => (el.textContent || '').replace(/\s+/g, ' ').trim() === want).length;
+}, { sel: SEL.text, text }).catch(() => 0);
+
+// Textes des toasts / alertes affichés (trimés, non vides)
+const toastTexts = (page) => page.locator(TOAST_SEL).allTextContents()
+  .then((list) => list.map((t) => t.trim()).filter(Boolean))
+  .catch(() => []);
+
+// Textes absents de la référence (à nombre d'occurrences près) : seuls ceux-ci sont classés
+function newTexts(texts, baseline) {
+  const seen = new Map();
+  for (const t of baseline) seen.set(t, (seen.get(t) || 0) + 1);
+  return texts.filter((t) => {
+    const n = seen.get(t) || 0;
+    if (n) seen.set(t, n - 1);
+    return !n;
+  });
+}
+
+// À appeler juste AVANT l'envoi. wait() résout sur :
+//   { status: 'posted', replyId, evidence }            réponse API ok ou nouvelle réponse dans le fil
+//   { status: 'rejected', reason, message, evidence }  API en erreur, toast d'erreur, captcha
+//   { status: 'unknown', reason: 'timeout' }           aucun signal dans le délai
+async function watchReplyOutcome(page, SEL, { replyText, timeoutMs = 10000 } = {}) {
+  const baseline = await countText(page, SEL, replyText);
+  // alertes déjà présentes avant l'envoi : ignorées
+  const baselineToasts = await toastTexts(page);
+  let apiOutcome = null;
+
+  const onResponse = (resp) => {
+    if (!PUBLISH_API_RE.test(resp.url())) return;
+    resp.json()
+      .then((json) => {
+        const code = Number(json?.status_code ?? 0);
+        apiOutcome = code === 0
+          ? { status: 'posted', replyId: json?.comment?.cid ? String(json.comment.cid) : null, evidence: 'network' }
+          : { status: 'rejected', reason: classify(json?.status_msg), message: json?.status_msg || `status_code ${code}`, evidence: 'network' };
+      })
+      .catch(() => {
+        if (resp.status() >= 400) {
+          apiOutcome = {
+            status: 'rejected',
+            reason: resp.status() === 429 ? 'rate_limited' : 'http_error',
+            message: `HTTP ${resp.status()}`,
+            evidence: 'network',
+          };
+        }
+      });
+  };
+  page.on('response', onResponse);
+
+  async function wait() {
+    const deadline = Date.now() + timeoutMs;
+    try {
+      while (Date.now() < deadline) {
+        if (apiOutcome) return apiOutcome;
+
+        if (await page.locator(CAPTCHA_SEL).first().isVisible().catch(() => false)) {
+          return { status: 'rejected', reason: 'captcha', message: 'Captcha / verification challenge shown', evidence: 'captcha' };
+        }
+
+        const toasts = newTexts(await toastTexts(page), baselineToasts);
+        const limited = toasts.find((t) => RATE_LIMIT_RE.test(t));
+        if (limited) {
+          return { status: 'rejected', reason: 'rate_limited', message: limited, evidence: 'toast' };
+        }
+        const failed = toasts.find((t) => /error|erreur|failed|échec|impossible|couldn.t|unable/i.test(t));
+        if (failed) {
+          return { status: 'rejected', reason: 'rejected_by_tiktok', message: failed, evidence: 'toast' };
+        }
+
+        if ((await countText(page, SEL, replyText)) > baseline) {
+          // la réponse réseau arrive souvent juste après : elle porte le cid
+          await page.waitForTimeout(500);
+          return apiOutcome && apiOutcome.status === 'posted'
+            ? apiOutcome
+            : { status: 'posted', replyId: null, evidence: 'dom' };
+        }
+
+        await page.waitForTimeout(300);
+      }
+      return apiOutcome || { status: 'unknown', reason: 'timeout', evidence: null };
+    } finally {
+      page.off('response', onResponse);
+    }
+  }
+
+  return { wait };
+}
+
+// ---------- API RÉSEAU ----------
+// Réponses chargées par l'app web : liste racine et listes de réponses
+const COMMENT_API_RE = /\/api\/comment\/list(\/reply)?\/?(\?|$)/;
+
+// Payload TikTok { comments: [{ cid, text, create_time, digg_count, reply_comment_total, reply_id, user }] }
+function parseCommentPayload(json) {
+  const list = Array.isArray(json?.comments) ? json.comments : [];
+  return list
+    .filter((c) => c && c.cid)
+    .map((c) => {
+      const parent = c.reply_id && String(c.reply_id) !== '0' ? String(c.reply_id) : null;
+      return {
+        id: String(c.cid),
+        parentId: parent,
+        author: {
+          handle: c.user?.unique_id || null,
+          displayName: c.user?.nickname || null,
+        },
+        text: c.text ?? c.share_info?.desc ?? null,
+        createdAt: Number(c.create_time) > 0 ? new Date(Number(c.create_time) * 1000).toISOString() : null,
+        likeCount: Number(c.digg_count) || 0,
+        replyCount: Number(c.reply_comment_total) || 0,
+      };
+    });
+}
+
+// À brancher AVANT page.goto : accumule les commentaires vus passer sur le réseau
+function captureCommentResponses(page) {
+  const byId = new Map();
+  const pending = new Set();
+  let responses = 0;
+  let errors = 0;
+
+  const onResponse = (resp) => {
+    if (!COMMENT_API_RE.test(resp.url()) || resp.status() !== 200) return;
+    const p = resp.json()
+      .then((json) => {
+        responses++;
+        for (const c of parseCommentPayload(json)) if (!byId.has(c.id)) byId.set(c.id, c);
+      })
+      .catch(() => { errors++; })
+      .finally(() => pending.delete(p));
+    pending.add(p);
+  };
+  page.on('response', onResponse);
+
+  return {
+    // attend les parsings en cours puis renvoie les commentaires dans l'ordre d'arrivée
+    async collect() {
+      await Promise.allSettled(Array.from(pending));
+      return Array.from(byId.values());
+    },
+    stats: () => ({ responses, errors, comments: byId.size }),
+    stop: () => page.off('response', onResponse),
+  };
+}
+
+module.exports = {
+  CAPTCHA_SEL,
+  alternativesOf,
+  scrapeThread,
+  findComment,
+  watchReplyOutcome,
+  captureCommentResponses,
+  parseCommentPayload,
+  parseCount,
+  parseCreatedAt,
+};
@@ -0,0 +1,30 @@
+// plugins/tiktok/index.js (CommonJS)
+// Plugin de plateforme TikTok (interface : lib/plugins.js).
+// TTK_PLATFORM : identifiant des sessions (défaut tiktok) ; TTK_ACCOUNT : account par défaut.
+
+const { detectLoginState } = require('./loginState');
+const { SEL, EXPECTED_SELECTORS, DOM_SELECTORS } = require('./selectors');
+const { createTiktokModes } = require('./modes');
+
+const BASE_URL = 'https://www.tiktok.com/'; // slash final
+
+module.exports = (core) => {
+  const plugin = {
+    platform: (core.env.TTK_PLATFORM || 'tiktok').toLowerCase(),
+    baseUrl: BASE_URL,
+    loginUrl: `${BASE_URL}login`,
+    cookieDomain: '.tiktok.com',
+    defaultAccount: core.env.TTK_ACCOUNT || '', // ex: rab.le.dr.numerique
+    criticalCookies: ['sessionid', 'sid_guard', 'msToken'],
+    flagCookies: [
+      'sessionid', 'sessionid_ss', 'sid_tt', 'sid_ucp_v1', 'ssid_ucp_v1', 'msToken', 'ttwid', 'tt_chain_token', 'tt_csrf_token',
+    ],
+    detectLogin: (page, opts = {}) => detectLoginState(page, { baseUrl: BASE_URL, ...opts }),
+    checkMode: 'tiktok.check',
+    selectors: SEL,
+    expectedSelectors: EXPECTED_SELECTORS,
+    domSelectors: DOM_SELECTORS,
+  };
+  plugin.modes = createTiktokModes(core, plugin);
+  return plugin;
+};
@@ -0,0 +1,108 @@
+// plugins/tiktok/loginState.js (CommonJS)
+// Détection de l'état de connexion TikTok : loggedIn | loggedOut | challenged,
+// avec la liste des indices utilisés (evidence) :
+//   url      redirection vers /login ou /passport
+//   captcha  captcha / mur de vérification visible
+//   dom      avatar de navigation ou bouton "Se connecter" visible
+//   cookie   cookie de session présent / absent
+//   probe    /passport/web/account/info/ (endpoint authentifié, fait foi s'il répond)
+//
+// Ordre de décision : challenged > probe > dom/url/cookie. Sans réponse exploitable de
+// la sonde, seul l'avatar visible vaut connexion (jamais "cookie présent" seul : faux positifs
+// sur les chargements lents).
+
+const { CAPTCHA_SEL } = require('./comments');
+
+const AVATAR_SEL = '[data-e2e="nav-user-avatar"], [data-e2e="profile-icon"]';
+const LOGIN_BTN_SEL = '[data-e2e="top-login-button"], a[href*="/login"]';
+const SESSION_COOKIES = ['sessionid', 'sessionid_ss', 'sid_tt'];
+const LOGIN_URL_RE = /\/(login|passport)(\/|\?|$)/;
+const CHALLENGE_TEXT_RE = /verify to continue|drag the (slider|puzzle)|select all images|vérifie[rz]? pour continuer|faites glisser/i;
+const ACCOUNT_INFO_PATH = 'passport/web/account/info/?aid=1459';
+
+// Endpoint authentifié : user_id si connecté, message "error" sinon
+async function probeAccountInfo(context, { baseUrl, timeoutMs = 10000 }) {
+  try {
+    const res = await context.request.get(new URL(ACCOUNT_INFO_PATH, baseUrl).href, {
+      timeout: timeoutMs, failOnStatusCode: false,
+    });
+    if (!res.ok()) return { result: 'unavailable', status: res.status() };
+    const json = await res.json().catch(() => null);
+    const data = json?.data || {};
+    if (json?.message === 'success' && (data.user_id || data.user_id_str || data.username)) {
+      return { result: 'loggedIn', userId: String(data.user_id_str || data.user_id || ''), username: data.username || null };
+    }
+    if (data.captcha) return { result: 'challenged', description: data.description || null };
+    if (json?.message === 'error' || data.error_code) {
+      return { result: 'loggedOut', errorCode: data.error_code ?? null, description: data.description || null };
+    }
+    return { result: 'unavailable', status: res.status() };
+  } catch (e) {
+    return { result: 'unavailable', error: e.message || String(e) };
+  }
+}
+
+const visible = (page, sel) => page.locator(sel).first().isVisible().catch(() => false);
+
+// page : déjà navigué sur une page TikTok. waitMs : attente max de l'avatar / bouton login.
+async function detectLoginState(page, {
+  context = page.context(), baseUrl, probe = true, waitMs = 5000, probeTimeoutMs = 10000,
+} = {}) {
+  const evidence = [];
+  const add = (signal, indicates, detail) => evidence.push({ signal, indicates, ...(detail !== undefined ? { detail } : {}) });
+
+  // chargement lent : on laisse à l'en-tête le temps d'afficher avatar, bouton ou captcha
+  await page.locator(`${AVATAR_SEL}, ${LOGIN_BTN_SEL}, ${CAPTCHA_SEL}`).first()
+    .waitFor({ state: 'visible', timeout: waitMs }).catch(() => {});
+
+  const url = page.url();
+  if (LOGIN_URL_RE.test(new URL(url).pathname)) add('url', 'loggedOut', url);
+
+  const captcha = await visible(page, CAPTCHA_SEL)
+    || await page.getByText(CHALLENGE_TEXT_RE).first().isVisible().catch(() => false);
+  if (captcha) add('captcha', 'challenged');
+
+  const avatar = await visible(page, AVATAR_SEL);
+  const loginBtn = await visible(page, LOGIN_BTN_SEL);
+  if (avatar) add('dom', 'loggedIn', 'nav avatar visible');
+  if (loginBtn) add('dom', 'loggedOut', 'login button visible');
+
+  const names = new Set((await context.cookies()).map((c) => c.name));
+  const present = SESSION_COOKIES.filter((n) => names.has(n));
+  add('cookie', present.length ? 'loggedIn' : 'loggedOut', present.length ? { present } : { missing: SESSION_COOKIES });
+
+  let probed = null;
+  if (probe && baseUrl) {
+    probed = await probeAccountInfo(context, { baseUrl, timeoutMs: probeTimeoutMs });
+    add('probe', probed.result === 'unavailable' ? null : probed.result, probed);
+  }
+
+  let state;
+  let reason;
+  if (captcha || probed?.result === 'challenged') {
+    state = 'challenged';
+    reason = 'Captcha or verification wall shown';
+  } else if (probed?.result === 'loggedIn') {
+    state = 'loggedIn';
+    reason = 'Account info endpoint returned the user';
+  } else if (probed?.result === 'loggedOut') {
+    state = 'loggedOut';
+    reason = probed.description || 'Account info endpoint rejected the session';
+  } else if (avatar && !evidence.some((e) => e.signal === 'url')) {
+    state = 'loggedIn';
+    reason = 'Nav avatar visible (probe unavailable)';
+  } else {
+    state = 'loggedOut';
+    reason = loginBtn ? 'Login button visible'
+      : evidence.some((e) => e.signal === 'url') ? 'Redirected to login'
+        : !present.length ? 'No session cookie' : 'No logged-in signal (probe unavailable)';
+  }
+
+  return { state, reason, evidence, url, checkedAt: new Date().toISOString() };
+}
+
+module.exports = {
+  SESSION_COOKIES,
+  detectLoginState,
+  probeAccountInfo,
+};
@@ -0,0 +1,607 @@
+// plugins/tiktok/modes.js (CommonJS)
+// Modes de /run du plugin TikTok : check, debugSelectors, fetchComments, fetchThread, reply, replyBatch.
+// Les sessions (context, cookies, proxy, libération) viennent du core via getContextWithSession ;
+// les sélecteurs de la version active de la config (lib/selectorConfig.js), relue à chaque run.
+
+const {
+  errorResult, badRequest,
+} = require('../../lib/runErrors');
+const { redactProxy, isProxyError, checkEgress } = require('../../lib/proxy');
+const {
+  scrapeThread, captureCommentResponses, findComment, watchReplyOutcome, alternativesOf, parseCount,
+} = require('./comments');
+const { measureSelectors } = require('../../lib/selectorHealth');
+const { SCHEMAS } = require('./schemas');
+
+// Ouvre l’onglet Commentaires si présent
+async function ensureCommentsOpen(page) {
+  const commentsTab = page.getByRole('tab', { name: /commentaires|comments/i });
+  if (await commentsTab.isVisible().catch(() => false)) {
+    await commentsTab.click();
+    await page.waitForTimeout(700);
+  }
+}
+
+// Ferme un overlay/modal éventuel qui bloque les clics
+async function closeBlockingOverlays(page) {
+  // TUX modal overlay (TikTok)
+  const overlay = page.locator('[data-station-status="open"][data-tux-color-scheme]');
+  if (await overlay.first().isVisible().catch(() => false)) {
+    await page.keyboard.press('Escape').catch(() => {});
+    await overlay.first().waitFor({ state: 'detached', timeout: 2000 }).catch(() => {});
+  }
+}
+
+// Compteur de commentaires de la vidéo (hors config de sélecteurs : c'est elle qu'on mesure)
+const COMMENT_COUNT_SEL = '[data-e2e="comment-count"], [data-e2e="browse-comment-count"]';
+
+// La vidéo a-t-elle des commentaires ? réponses réseau capturées, sinon compteur affiché > 0
+async function hasComments(page, capture = null) {
+  if (capture && (await capture.collect()).length) return true;
+  const txt = await page.locator(COMMENT_COUNT_SEL).first().textContent({ timeout: 2000 }).catch(() => null);
+  return (parseCount(txt) || 0) > 0;
+}
+
+// Scroll fort pour hydrater la liste de commentaires
+async function hydrateComments(page, loops = 10) {
+  for (let i = 0; i < loops; i++) {
+    await page.mouse.wheel(0, 900);
+    await page.waitForTimeout(400);
+  }
+}
+
+// Issue de publication non confirmée → code d'erreur typé
+const outcomeCode = (outcome) => {
+  if (outcome.status === 'unknown') return 'REPLY_UNVERIFIED';
+  if (outcome.reason === 'rate_limited') return 'RATE_LIMITED';
+  if (outcome.reason === 'captcha') return 'CHALLENGED';
+  return 'REPLY_REJECTED';
+};
+
+// pause interrompue par l'annulation / le timeout du run
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const t = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(t);
+    resolve();
+  }, { once: true });
+});
+const humanDelay = (min, max) => Math.round(min + Math.random() * Math.max(0, max - min));
+
+// Durée max d'un run dérivée de son budget : + navigation, hydratation du fil, réécriture de session
+const RUN_MARGIN_MS = 2 * 60 * 1000;
+
+// Auteur / texte affichés à la position commentIndex (SEL.item) ; null si absents
+async function commentAt(page, SEL, commentIndex) {
+  const item = page.locator(SEL.item).nth(commentIndex);
+  const user = await item.locator(SEL.user).first().textContent().catch(() => null);
+  const text = await item.locator(SEL.text).first().textContent().catch(() => null);
+  return { item, user: user?.trim() || null, text: text?.trim() || null };
+}
+
+// Répond à un commentaire sur une page déjà ouverte sur la vidéo (fil hydraté).
+// Cible : commentId (cid TikTok), ou match { author, textContains }, ou commentIndex (position DOM, legacy)
+// dryRun : tout le parcours (ciblage, ouverture, saisie) sans envoi + capture d'écran (png brut)
+async function replyOnPage(page, SEL, {
+  replyText, commentId, match, commentIndex = 0, capture = null, verifyTimeoutMs = 10000, dryRun = false,
+}) {
+  // Commentaire ciblé
+  let item;
+  let target;
+  if (commentId || match) {
+    const found = await findComment(page, SEL, { commentId, match }, { capture });
+    if (!found.ok) {
+      return {
+        ok: false,
+        code: found.reason === 'ambiguous' ? 'AMBIGUOUS_MATCH' : 'COMMENT_NOT_FOUND',
+        error: found.error,
+        reason: found.reason,
+        candidates: found.candidates,
+      };
+    }
+    item = found.locator;
+    target = { via: commentId ? 'commentId' : 'match', ...found.comment };
+  } else {
+    const at = await commentAt(page, SEL, commentIndex);
+    item = at.item;
+    target = { via: 'commentIndex', index: commentIndex, user: at.user, text: at.text };
+    // le brouillon est republié via match { author, textContains } : il faut au moins l'un des deux
+    if (dryRun && !target.user && !target.text) {
+      return {
+        ok: false,
+        code: 'COMMENT_NOT_FOUND',
+        error: `No author or text at commentIndex ${commentIndex}: the draft could not be approved (target it by commentId or match)`,
+        reason: 'not_found',
+        target,
+      };
+    }
+  }
+
+  // Bouton "Répondre"
+  await item.scrollIntoViewIfNeeded().catch(() => {});
+  const btn = item.locator(SEL.replyBtn).first();
+  await btn.click({ timeout: 10000 });
+
+  // Saisie
+  await closeBlockingOverlays(page);
+  const input = page.locator(SEL.input).first();
+  await input.click({ timeout: 8000 });
+  await input.fill(replyText);
+
+  if (dryRun) {
+    const png = await page.screenshot({ type: 'png' });
+    // on vide le champ pour ne laisser aucun brouillon dans la page
+    await input.fill('').catch(() => {});
+    await page.keyboard.press('Escape').catch(() => {});
+    return { ok: true, dryRun: true, target, screenshot: png };
+  }
+
+  // Envoi + vérification : API publish, toasts d'erreur, captcha, apparition dans le fil
+  const watcher = await watchReplyOutcome(page, SEL, { replyText, timeoutMs: Number(verifyTimeoutMs) });
+  await page.keyboard.press('Enter');
+  const outcome = await watcher.wait();
+
+  return {
+    ok: outcome.status === 'posted',
+    ...(outcome.status === 'posted' ? {} : {
+      code: outcomeCode(outcome),
+      error: `Reply ${outcome.status}: ${outcome.message || outcome.reason}`,
+    }),
+    target,
+    outcome,
+  };
+}
+
+// core : services du serveur (lib/plugins.js) ; plugin : définition de la plateforme
+function createTiktokModes(core, {
+  platform, baseUrl, defaultAccount, detectLogin, expectedSelectors,
+}) {
+  const {
+    getContextWithSession, assertLoggedIn, pendingReplies, artifactStore, store, config, selectorConfig, selectorHealth,
+  } = core;
+
+  // Relevé par alternative (page hydratée, session connectée) → santé des sélecteurs ; jamais bloquant.
+  // Vidéo sans commentaire : aucun sélecteur attendu ne peut matcher, le relevé n'est pas enregistré.
+  async function measure(page, active, { capture = null } = {}) {
+    try {
+      const counts = await measureSelectors(page, active.selectors);
+      if (await hasComments(page, capture)) {
+        selectorHealth.record(platform, { version: active.version, counts, expected: expectedSelectors });
+      }
+      return counts;
+    } catch (e) {
+      console.warn(`[selectors] ${platform} measure:`, e.message || e);
+      return null;
+    }
+  }
+
+  // --- check (ouvre tiktok.com avec cookies)
+  async function tiktokCheck(body, scope = {}) {
+    const account = body.account || defaultAccount;
+
+    if (!account) return badRequest('Missing "account"');
+
+    let run;
+    try {
+      run = await getContextWithSession({ account, platform, scope });
+    } catch (e) {
+      return errorResult(e, { account, platform }, scope);
+    }
+
+    const {
+      page, context, proxy, cookiesPW, cookieReport,
+    } = run;
+    const proxyView = redactProxy(proxy);
+    try {
+      // IP de sortie : bloquante si un proxy est configuré (pas de repli sur la connexion directe)
+      let egress = null;
+      if (body.checkEgress !== false) {
+        try {
+          egress = { via: proxy ? 'proxy' : 'direct', ...(await checkEgress(context, { url: config.proxyCheckUrl })) };
+        } catch (e) {
+          const msg = e.message || String(e);
+          if (proxy) {
+            return {
+              ok: false, code: e.code || 'PROXY_ERROR', error: `Proxy ${proxy.server}: ${msg}`, account, platform, proxy: proxyView,
+            };
+          }
+          egress = { via: 'direct', error: msg };
+        }
+      }
+
+      await page.goto(baseUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+
+      const login = await detectLogin(page, { context });
+      const loggedIn = login.state === 'loggedIn';
+
+      const title = await page.title().catch(() => null);
+      const url = page.url();
+      if (loggedIn) run.markSuccess(); // jamais de réécriture d'un jar déconnecté
+      return {
+        ok: true, usedSupabase: store.kind === 'supabase', store: store.kind, account, platform, loggedIn, title, url, cookiesCount: cookiesPW.length,
+        loginState: login.state,
+        loginReason: login.reason,
+        evidence: login.evidence,
+        cookieConversion: cookieReport,
+        proxy: proxyView,
+        egress,
+      };
+    } catch (e) {
+      if (proxy && isProxyError(e)) {
+        return { ok: false, code: 'PROXY_ERROR', error: `Proxy ${proxy.server}: ${e.message}`, proxy: proxyView };
+      }
+      return errorResult(e, { account, platform }, scope);
+    } finally {
+      await run.release();
+    }
+  }
+
+  // --- debug selectors : compte ce que voit Playwright
+  async function tiktokDebugSelectors(body, scope = {}) {
+    const { videoUrl, account = defaultAccount } = body;
+    const active = selectorConfig.get(platform);
+    const SEL = active.selectors;
+
+    let run;
+    try {
+      run = await getContextWithSession({ account, platform, scope });
+      const { page } = run;
+      await page.goto(videoUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      await assertLoggedIn(run);
+      await ensureCommentsOpen(page);
+      await hydrateComments(page, 12);
+      const alternatives = await measure(page, active);
+
+      const counts = {
+        item: await page.locator(SEL.item).count().catch(() => 0),
+        user: await page.locator(SEL.user).count().catch(() => 0),
+        text: await page.locator(SEL.text).count().catch(() => 0),
+        reply: await page.locator(SEL.replyBtn).count().catch(() => 0),
+      };
+
+      const sample = [];
+      const n = Math.min(counts.item, 3);
+      for (let i = 0; i < n; i++) {
+        const root = page.locator(SEL.item).nth(i);
+        const u = await root.locator(SEL.user).first().textContent().catch(() => null);
+        const t = await root.locator(SEL.text).first().textContent().catch(() => null);
+        sample.push({ index: i, user: u?.trim() ?? null, text: t?.trim() ?? null });
+      }
+
+      run.markSuccess();
+      return {
+        ok: true, url: videoUrl, selectorVersion: active.version, selectors: { ...SEL }, counts, alternatives, sample,
+      };
+    } catch (e) {
+      return errorResult(e, {}, scope);
+    } finally {
+      if (run) await run.release();
+    }
+  }
+
+  // --- fetch comments
+  // strategy : auto (réseau puis DOM) | network | dom ; la réponse indique la source utilisée
+  async function tiktokFetchComments(body, scope = {}) {
+    const {
+      videoUrl,
+      limit = 5,
+      strategy = 'auto',
+      account = defaultAccount,
+    } = body;
+    const active = selectorConfig.get(platform);
+    const SEL = active.selectors;
+
+    let run;
+    try {
+      run = await getContextWithSession({ account, platform, scope });
+      const { page } = run;
+      const capture = strategy !== 'dom' ? captureCommentResponses(page) : null;
+
+      await page.goto(videoUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      await assertLoggedIn(run);
+      await ensureCommentsOpen(page);
+      await hydrateComments(page, 14);
+      await measure(page, active, { capture });
+
+      // Réseau : uniquement les commentaires racines, dans l'ordre de l'API.
+      // Pas d'"index" : cet ordre n'est pas la position DOM qu'utilise commentIndex → cibler par id
+      if (capture) {
+        const captured = (await capture.collect()).filter((c) => !c.parentId);
+        capture.stop();
+        if (captured.length || strategy === 'network') {
+          const comments = captured.slice(0, limit).map((c) => ({ user: c.author.displayName, ...c }));
+          run.markSuccess();
+          return {
+            ok: true, strategy: 'network', count: comments.length, comments, url: videoUrl, network: capture.stats(),
+          };
+        }
+      }
+
+      // Attends qu’au moins 1 item soit visible (si possible)
+      const anyItem = page.locator(SEL.item).first();
+      await anyItem.waitFor({ state: 'visible', timeout: 5000 }).catch(() => {});
+
+      const comments = await page.evaluate(({ SEL, ALT, limit }) => {
+        const pick = (el, alts) => {
+          for (const s of alts) {
+            const t = el.querySelector(s);
+            const val = t?.textContent?.trim();
+            if (val) return val;
+          }
+          return null;
+        };
+
+        const nodes =
+          Array.from(document.querySelectorAll(SEL.item)) ||
+          [];
+
+        return nodes.slice(0, limit).map((el, i) => {
+          const user = pick(el, ALT.user);
+          const text =
+            pick(el, ALT.text) ||
+            // dernier secours : coupe le texte de l’item
+            (el.textContent || '').trim();
+          return { index: i, user, text };
+        }).filter(x => x.user || x.text);
+      }, { SEL, ALT: alternativesOf(SEL), limit });
+
+      run.markSuccess();
+      return { ok: true, strategy: 'dom', count: comments.length, comments, url: videoUrl };
+    } catch (e) {
+      return errorResult(e, {}, scope);
+    } finally {
+      if (run) await run.release();
+    }
+  }
+
+  // --- fetch thread : fil complet (pagination, réponses, métadonnées)
+  async function tiktokFetchThread(body, scope = {}) {
+    const {
+      videoUrl,
+      maxComments = 500,
+      timeBudgetMs = 60000,
+      expandReplies = true,
+      account = defaultAccount,
+    } = body;
+    const active = selectorConfig.get(platform);
+    const SEL = active.selectors;
+
+    let run;
+    try {
+      run = await getContextWithSession({ account, platform, scope });
+      const { page } = run;
+      await page.goto(videoUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      await assertLoggedIn(run);
+      await ensureCommentsOpen(page);
+      await page.locator(SEL.thread).first().waitFor({ state: 'visible', timeout: 8000 }).catch(() => {});
+      await measure(page, active);
+
+      const thread = await scrapeThread(page, SEL, {
+        maxComments: Number(maxComments),
+        timeBudgetMs: Number(timeBudgetMs),
+        expand: expandReplies !== false,
+      });
+
+      run.markSuccess();
+      return { ok: true, url: videoUrl, count: thread.comments.length, ...thread };
+    } catch (e) {
+      return errorResult(e, {}, scope);
+    } finally {
+      if (run) await run.release();
+    }
+  }
+
+  // --- reply
+  async function tiktokReply(body, scope = {}) {
+    const {
+      videoUrl,
+      replyText,
+      commentId,
+      match,
+      commentIndex = 0,
+      verifyTimeoutMs = 10000,
+      dryRun = false,
+      account = defaultAccount,
+    } = body;
+    const active = selectorConfig.get(platform);
+    const SEL = active.selectors;
+
+    let run;
+    try {
+      run = await getContextWithSession({ account, platform, scope });
+      const { page } = run;
+      const capture = commentId ? captureCommentResponses(page) : null;
+      await page.goto(videoUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      await assertLoggedIn(run);
+      await ensureCommentsOpen(page);
+      await hydrateComments(page, 12);
+      await measure(page, active, { capture });
+
+      const r = await replyOnPage(page, SEL, {
+        replyText, commentId, match, commentIndex, capture, verifyTimeoutMs, dryRun: dryRun === true,
+      });
+      capture?.stop();
+      if (r.ok) run.markSuccess();
+
+      // dryRun réussi → brouillon à approuver / rejeter via /replies/:id
+      // capture dans le store d'artefacts ; le brouillon n'en garde que l'id
+      if (r.dryRun) {
+        const { screenshot, ...staged } = r;
+        const shot = await artifactStore.put({
+          kind: 'screenshot', ext: 'png', contentType: 'image/png', body: screenshot, meta: { label: 'tiktok.reply', reason: 'draft' },
+        }).catch((e) => {
+          console.error('[replies] draft screenshot:', e.message || e);
+          return null;
+        });
+        const draft = pendingReplies.create({
+          mode: 'tiktok.reply', platform, account, videoUrl, replyText, target: r.target, screenshotId: shot ? shot.id : null,
+        });
+        return {
+          ...staged, draftId: draft.id, videoUrl, replyText, screenshotUrl: shot ? `/artifacts/${shot.id}` : null,
+        };
+      }
+
+      return {
+        ...r,
+        videoUrl,
+        commentIndex: r.target?.via === 'commentIndex' ? commentIndex : undefined,
+        replyText,
+      };
+    } catch (e) {
+      return errorResult(e, {}, scope);
+    } finally {
+      if (run) await run.release();
+    }
+  }
+
+  // --- reply batch : plusieurs réponses sur UNE vidéo, une seule session navigateur
+  // items : [{ commentId | match | commentIndex, replyText }]
+  // Arrêt au premier échec dur (exception, rejet, rate-limit, captcha) ; la suite est "skipped".
+  // Publication non vérifiée (unknown : rate-limit silencieux, shadow-block) : arrêt aussi,
+  // sauf stopOnUnverified: false.
+  // Interrompu par l'annulation / le timeout du run.
+  async function tiktokReplyBatch(body, scope = {}) {
+    const {
+      videoUrl,
+      items,
+      minDelayMs = 8000,
+      maxDelayMs = 20000,
+      verifyTimeoutMs = 10000,
+      stopOnUnverified = true,
+      account = defaultAccount,
+    } = body;
+    const active = selectorConfig.get(platform);
+    const SEL = active.selectors;
+
+    const results = items.map((it, index) => ({ index, status: 'skipped', replyText: it.replyText }));
+    let stopped = null;
+
+    let run;
+    try {
+      run = await getContextWithSession({ account, platform, scope });
+      const { page } = run;
+      const capture = items.some((it) => it.commentId) ? captureCommentResponses(page) : null;
+      await page.goto(videoUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      await assertLoggedIn(run);
+      await ensureCommentsOpen(page);
+      await hydrateComments(page, 12);
+      await measure(page, active, { capture });
+
+      // commentIndex résolu en { author, textContains } AVANT toute publication :
+      // chaque réponse publiée insère des nœuds et décale les positions de SEL.item
+      const targets = [];
+      for (const it of items) {
+        if (it.commentId || it.match) {
+          targets.push({ item: it });
+          continue;
+        }
+        const index = it.commentIndex ?? 0;
+        const { user, text } = await commentAt(page, SEL, index);
+        const target = { via: 'commentIndex', index, user, text };
+        targets.push(user || text
+          ? { item: { ...it, match: { ...(user ? { author: user } : {}), ...(text ? { textContains: text } : {}) } }, target }
+          : { target, error: `No author or text at commentIndex ${index}: target it by commentId or match` });
+      }
+
+      for (let i = 0, tried = 0; i < items.length; i++) {
+        const { item: it, target, error } = targets[i];
+        if (error) {
+          results[i] = {
+            ...results[i], status: 'not_found', code: 'COMMENT_NOT_FOUND', target, error,
+          };
+          continue;
+        }
+
+        if (tried++ > 0) await sleep(humanDelay(Number(minDelayMs), Number(maxDelayMs)), scope.signal);
+        if (scope.signal?.aborted) {
+          stopped = { index: i, reason: 'cancelled', code: errorResult(scope.signal.reason, {}, scope).code };
+          break;
+        }
+
+        let r;
+        try {
+          r = await replyOnPage(page, SEL, { ...it, capture, verifyTimeoutMs });
+        } catch (e) {
+          const failed = errorResult(e, {}, scope);
+          results[i] = {
+            ...results[i], status: 'error', code: failed.code, error: failed.error,
+          };
+          stopped = { index: i, reason: 'error', code: failed.code };
+          break;
+        }
+
+        const status = r.outcome ? r.outcome.status : r.reason; // posted | rejected | unknown | not_found | ambiguous
+        results[i] = {
+          ...results[i],
+          status,
+          target: target ? { ...target, id: r.target?.id ?? null } : r.target,
+          outcome: r.outcome,
+          candidates: r.candidates,
+          error: r.ok ? undefined : r.error,
+        };
+
+        // ferme le champ de réponse avant l'item suivant
+        await page.keyboard.press('Escape').catch(() => {});
+        await closeBlockingOverlays(page);
+
+        if (status === 'rejected' || (status === 'unknown' && stopOnUnverified)) {
+          stopped = { index: i, reason: status === 'unknown' ? 'unverified' : r.outcome.reason, code: outcomeCode(r.outcome) };
+          break;
+        }
+      }
+      capture?.stop();
+      if (results.some((r) => r.status === 'posted')) run.markSuccess();
+    } catch (e) {
+      return errorResult(e, { videoUrl, results }, scope);
+    } finally {
+      if (run) await run.release();
+    }
+
+    const posted = results.filter((r) => r.status === 'posted').length;
+    return {
+      ok: !stopped,
+      ...(stopped ? { code: stopped.code, error: `Batch stopped at item ${stopped.index}: ${stopped.reason}` } : {}),
+      videoUrl,
+      posted,
+      total: items.length,
+      stopped,
+      results,
+    };
+  }
+
+  return {
+    'tiktok.check': {
+      handler: tiktokCheck, description: 'Check login state, proxy and egress IP of an account', resumable: true, ...SCHEMAS['tiktok.check'],
+    },
+    'tiktok.debugSelectors': {
+      handler: tiktokDebugSelectors, description: 'Count what the comment selectors match on a video', resumable: true, ...SCHEMAS['tiktok.debugSelectors'],
+    },
+    'tiktok.fetchComments': {
+      handler: tiktokFetchComments, description: 'Fetch the first root comments of a video', resumable: true, ...SCHEMAS['tiktok.fetchComments'],
+    },
+    'tiktok.fetchThread': {
+      handler: tiktokFetchThread,
+      description: 'Fetch the full comment thread with replies',
+      resumable: true,
+      timeoutMs: (body) => (body.timeBudgetMs ?? 60000) + RUN_MARGIN_MS,
+      ...SCHEMAS['tiktok.fetchThread'],
+    },
+    // un dryRun de reply ne publie rien : il crée seulement un brouillon à valider
+    'tiktok.reply': {
+      handler: tiktokReply,
+      description: 'Reply to one comment (or stage a draft with dryRun)',
+      scope: (body) => (body.dryRun === true ? 'run:read' : 'run:write'),
+      ...SCHEMAS['tiktok.reply'],
+    },
+    // par item : pause max + vérification + ciblage / saisie
+    'tiktok.replyBatch': {
+      handler: tiktokReplyBatch,
+      description: 'Post several replies on one video in a single session',
+      scope: 'run:write',
+      timeoutMs: (body) => (body.items?.length || 1) * ((body.maxDelayMs ?? 20000) + (body.verifyTimeoutMs ?? 10000) + 30000) + RUN_MARGIN_MS,
+      ...SCHEMAS['tiktok.replyBatch'],
+    },
+  };
+}
+
+module.exports = { createTiktokModes };
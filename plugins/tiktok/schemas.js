@@ -0,0 +1,208 @@
+// plugins/tiktok/schemas.js (CommonJS)
+// Schémas JSON (entrée / sortie) des modes TikTok, enregistrés dans lib/modeRegistry.js.
+// Entrée : champs propres au mode (les options communes account, platform, debug… sont ajoutées
+// par le registre). Sortie : résultat réussi (ok: true) ; l'échec suit ERROR_OUTPUT.
+
+const videoUrl = { type: 'string', pattern: '^https?://', description: 'TikTok video URL' };
+const replyText = { type: 'string', minLength: 1 };
+// chaîne obligatoire : un cid (~19 chiffres) dépasse 2^53 et serait arrondi en nombre JSON
+const commentId = { type: 'string', pattern: '^(\\d+|dom:[0-9a-f]+)$', description: 'TikTok comment id (cid, as a string) or dom:<hash>' };
+const commentIndex = { type: 'integer', minimum: 0, description: 'DOM position (legacy targeting)' };
+const verifyTimeoutMs = { type: 'integer', minimum: 1000, maximum: 120000 };
+
+const match = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    author: { type: 'string', minLength: 1 },
+    textContains: { type: 'string', minLength: 1 },
+  },
+  anyOf: [{ required: ['author'] }, { required: ['textContains'] }],
+  anyOfMessage: 'must include "author" and/or "textContains"',
+};
+
+const comment = {
+  type: 'object',
+  properties: {
+    index: { type: 'integer', description: 'DOM position (dom strategy only), usable as commentIndex' },
+    id: { type: ['string', 'null'] },
+    user: { type: ['string', 'null'] },
+    text: { type: ['string', 'null'] },
+  },
+};
+
+const target = {
+  type: 'object',
+  properties: {
+    via: { enum: ['commentId', 'match', 'commentIndex'] },
+    id: { type: ['string', 'null'] },
+    user: { type: ['string', 'null'] },
+    text: { type: ['string', 'null'] },
+  },
+};
+
+const outcome = {
+  type: 'object',
+  properties: {
+    status: { enum: ['posted', 'rejected', 'unknown'] },
+    reason: { type: ['string', 'null'] },
+    message: { type: ['string', 'null'] },
+  },
+};
+
+const SCHEMAS = {
+  'tiktok.check': {
+    input: {
+      properties: {
+        checkEgress: { type: 'boolean', description: 'Check the egress IP (default true)' },
+      },
+    },
+    output: {
+      required: ['account', 'platform', 'loggedIn', 'loginState'],
+      properties: {
+        account: { type: 'string' },
+        platform: { type: 'string' },
+        loggedIn: { type: 'boolean' },
+        loginState: { enum: ['loggedIn', 'loggedOut', 'challenged'] },
+        loginReason: { type: 'string' },
+        evidence: { type: 'array', items: { type: 'object' } },
+        cookiesCount: { type: 'integer' },
+        proxy: { type: ['object', 'null'] },
+        egress: { type: ['object', 'null'] },
+      },
+    },
+  },
+
+  'tiktok.debugSelectors': {
+    input: {
+      required: ['videoUrl'],
+      properties: { videoUrl },
+    },
+    output: {
+      required: ['url', 'counts'],
+      properties: {
+        url: { type: 'string' },
+        selectors: { type: 'object' },
+        counts: { type: 'object' },
+        sample: { type: 'array', items: comment },
+      },
+    },
+  },
+
+  'tiktok.fetchComments': {
+    input: {
+      required: ['videoUrl'],
+      properties: {
+        videoUrl,
+        limit: { type: 'integer', minimum: 1, maximum: 500, description: 'Default 5' },
+        strategy: { enum: ['auto', 'network', 'dom'], description: 'Default auto (network first; network results carry "id" but no "index")' },
+      },
+    },
+    output: {
+      required: ['strategy', 'count', 'comments'],
+      properties: {
+        strategy: { enum: ['network', 'dom'] },
+        count: { type: 'integer' },
+        comments: { type: 'array', items: comment },
+        url: { type: 'string' },
+        network: { type: 'object' },
+      },
+    },
+  },
+
+  'tiktok.fetchThread': {
+    input: {
+      required: ['videoUrl'],
+      properties: {
+        videoUrl,
+        maxComments: { type: 'integer', minimum: 1, maximum: 10000, description: 'Default 500' },
+        timeBudgetMs: { type: 'integer', minimum: 1000, maximum: 600000, description: 'Default 60000' },
+        expandReplies: { type: 'boolean', description: 'Default true' },
+      },
+    },
+    output: {
+      required: ['count', 'comments'],
+      properties: {
+        url: { type: 'string' },
+        count: { type: 'integer' },
+        comments: { type: 'array', items: comment },
+      },
+    },
+  },
+
+  'tiktok.reply': {
+    input: {
+      required: ['videoUrl', 'replyText'],
+      properties: {
+        videoUrl,
+        replyText,
+        commentId,
+        match,
+        commentIndex,
+        verifyTimeoutMs,
+        dryRun: { type: 'boolean', description: 'Stage a draft for /replies approval instead of posting' },
+      },
+    },
+    output: {
+      required: ['target'],
+      properties: {
+        dryRun: { type: 'boolean' },
+        draftId: { type: 'string' },
+        target,
+        outcome,
+        videoUrl: { type: 'string' },
+        replyText: { type: 'string' },
+        screenshotUrl: { type: ['string', 'null'], description: 'Draft screenshot (GET /artifacts/:id)' },
+      },
+    },
+  },
+
+  'tiktok.replyBatch': {
+    input: {
+      required: ['videoUrl', 'items'],
+      properties: {
+        videoUrl,
+        items: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 50,
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['replyText'],
+            properties: {
+              replyText, commentId, match, commentIndex,
+            },
+          },
+        },
+        minDelayMs: { type: 'integer', minimum: 0, maximum: 600000, description: 'Default 8000' },
+        maxDelayMs: { type: 'integer', minimum: 0, maximum: 600000, description: 'Default 20000' },
+        verifyTimeoutMs,
+        stopOnUnverified: { type: 'boolean', description: 'Stop when a reply cannot be verified (default true)' },
+      },
+    },
+    output: {
+      required: ['posted', 'total', 'results'],
+      properties: {
+        videoUrl: { type: 'string' },
+        posted: { type: 'integer' },
+        total: { type: 'integer' },
+        stopped: { type: ['object', 'null'] },
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              index: { type: 'integer' },
+              status: { enum: ['posted', 'rejected', 'unknown', 'not_found', 'ambiguous', 'error', 'skipped'] },
+              target,
+              outcome,
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+module.exports = { SCHEMAS };
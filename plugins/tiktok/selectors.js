@@ -0,0 +1,34 @@
+// plugins/tiktok/selectors.js (CommonJS)
+// Sélecteurs DOM par défaut des commentaires TikTok web (version 0 de la config de sélecteurs,
+// remplaçable à chaud via PUT /selectors/tiktok).
+
+// Sélecteurs robustes (fallback-chain)
+const SEL = {
+  // Item : deux variantes vues sur TikTok web
+  item: 'div[class*="DivCommentObject"], [data-e2e="comment-item"], li[class*="CommentItem"]',
+  // User : lien profil ou data-e2e
+  user: 'a[href^="/@"], [data-e2e="comment-username"]',
+  // Texte : data-e2e, sinon niveaux, sinon texte brut du bloc contenu
+  text: '[data-e2e="comment-text"], span[data-e2e^="comment-level"], div[class*="DivCommentSubContent"]',
+  // Bouton répondre (FR/EN)
+  replyBtn: 'button:has-text("Répondre"), button:has-text("Reply"), [data-e2e="comment-reply"]',
+  // Champ saisie
+  input: '[data-e2e="comment-input"], textarea',
+  // Fil complet : conteneur d'un commentaire racine + ses réponses
+  thread: 'div[class*="DivCommentItemContainer"], [data-e2e="comment-item"]',
+  // Bloc d'un commentaire (racine ou réponse), porte l'id TikTok quand il est exposé
+  content: 'div[class*="DivCommentContentContainer"], [data-e2e="comment-content"]',
+  replyContainer: 'div[class*="DivReplyContainer"]',
+  // "View 3 replies" / "Voir 3 réponses" / "View more"
+  viewReplies: 'div[class*="DivViewRepliesContainer"], [data-e2e="view-more-replies"]',
+  likeCount: '[data-e2e="comment-like-count"], span[class*="SpanCount"]',
+  time: '[data-e2e="comment-time"], span[class*="SpanCreatedTime"]',
+};
+
+// Présents sur toute page de commentaires hydratée : aucun match sur plusieurs runs → degraded
+const EXPECTED_SELECTORS = ['item', 'user', 'text', 'replyBtn', 'thread', 'content'];
+
+// Lus dans la page par document.querySelectorAll (scrapeThread, countText…) : CSS standard seulement
+const DOM_SELECTORS = ['item', 'user', 'text', 'thread', 'content', 'replyContainer', 'viewReplies', 'likeCount', 'time'];
+
+module.exports = { SEL, EXPECTED_SELECTORS, DOM_SELECTORS };
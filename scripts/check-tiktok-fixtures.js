@@ -0,0 +1,89 @@
+// scripts/check-tiktok-fixtures.js (CommonJS)
+// Vérifie le parsing TikTok sur des réponses enregistrées (scripts/fixtures/tiktok) :
+//  - parseCount sur les libellés affichés (count-labels.json : libellé → valeur attendue)
+//  - captureCommentResponses + parseCommentPayload : les payloads de l'API sont servis
+//    localement et chargés par une vraie page Chromium, comme sur tiktok.com
+//
+// Usage : npm run check:fixtures   (nécessite Chromium, comme le service)
+const assert = require('assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { chromium } = require('playwright');
+const { captureCommentResponses, parseCount } = require('../plugins/tiktok/comments');
+
+const DIR = path.join(__dirname, 'fixtures', 'tiktok');
+const fixture = (name) => fs.readFileSync(path.join(DIR, name), 'utf8');
+
+// Page minimale qui appelle l'API comme l'app web (liste racine puis réponses)
+const PAGE = `<!doctype html><script>
+  (async () => {
+    await fetch('/api/comment/list/?aweme_id=7300000000000000001&cursor=0&count=20');
+    await fetch('/api/comment/list/reply/?item_id=7300000000000000001&comment_id=7301234567890123456');
+    document.title = 'done';
+  })();
+</script>`;
+
+const ROUTES = {
+  '/video': ['text/html', PAGE],
+  '/api/comment/list/': ['application/json', fixture('comment-list.json')],
+  '/api/comment/list/reply/': ['application/json', fixture('comment-reply.json')],
+};
+
+function checkCounts() {
+  const labels = JSON.parse(fixture('count-labels.json'));
+  for (const [label, expected] of Object.entries(labels)) {
+    assert.equal(parseCount(label), expected, `parseCount(${JSON.stringify(label)})`);
+  }
+  console.log(`parseCount : ${Object.keys(labels).length} libellés OK`);
+}
+
+async function checkCapture() {
+  const server = http.createServer((req, res) => {
+    const route = ROUTES[new URL(req.url, 'http://local').pathname];
+    if (!route) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'content-type': route[0] });
+    return res.end(route[1]);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const browser = await chromium.launch();
+  try {
+    const page = await browser.newPage();
+    const capture = captureCommentResponses(page);
+    await page.goto(`${base}/video`);
+    await page.waitForFunction(() => document.title === 'done', null, { timeout: 10000 });
+    const comments = await capture.collect();
+    capture.stop();
+
+    assert.deepEqual(capture.stats(), { responses: 2, errors: 0, comments: 3 });
+    assert.deepEqual(comments.map((c) => c.id), ['7301234567890123456', '7301234567890123457', '7301234567890123999']);
+    assert.deepEqual(comments[0], {
+      id: '7301234567890123456',
+      parentId: null,
+      author: { handle: 'alice.b', displayName: 'Alice B' },
+      text: 'première !',
+      createdAt: '2023-11-14T22:13:20.000Z',
+      likeCount: 1204,
+      replyCount: 3,
+    });
+    assert.equal(comments[2].parentId, '7301234567890123456');
+    assert.equal(comments[2].author.handle, 'carol');
+    console.log(`captureCommentResponses : ${comments.length} commentaires OK`);
+  } finally {
+    await browser.close();
+    server.close();
+  }
+}
+
+(async () => {
+  checkCounts();
+  await checkCapture();
+})().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
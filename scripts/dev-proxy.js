@@ -0,0 +1,72 @@
+// scripts/dev-proxy.js (CommonJS)
+// Proxy HTTP minimal (CONNECT + requêtes absolues) pour tester localement le proxy par account.
+// Logge chaque connexion : permet de vérifier que le trafic d'un account passe bien par lui.
+//
+// Usage : DEV_PROXY_PORT=8899 DEV_PROXY_USER=u DEV_PROXY_PASS=p node scripts/dev-proxy.js
+// Puis : POST /sessions/proxy { account, proxy: { server: "http://127.0.0.1:8899", username: "u", password: "p" } }
+const http = require('http');
+const net = require('net');
+
+const PORT = Number(process.env.DEV_PROXY_PORT || 8899);
+const USER = process.env.DEV_PROXY_USER || '';
+const PASS = process.env.DEV_PROXY_PASS || '';
+const expected = USER ? `Basic ${Buffer.from(`${USER}:${PASS}`).toString('base64')}` : null;
+
+const authorized = (req) => !expected || req.headers['proxy-authorization'] === expected;
+
+const server = http.createServer((req, res) => {
+  if (!authorized(req)) {
+    res.writeHead(407, { 'Proxy-Authenticate': 'Basic realm="dev-proxy"' });
+    return res.end();
+  }
+  let target;
+  try {
+    target = new URL(req.url);
+  } catch (_) {
+    res.writeHead(400);
+    return res.end('absolute URL expected');
+  }
+  console.log(`[dev-proxy] ${req.method} ${target.href}`);
+  const headers = { ...req.headers };
+  delete headers['proxy-authorization'];
+  const upstream = http.request({
+    host: target.hostname, port: target.port || 80, method: req.method, path: target.pathname + target.search, headers,
+  }, (up) => {
+    res.writeHead(up.statusCode, up.headers);
+    up.pipe(res);
+  });
+  upstream.on('error', (e) => {
+    res.writeHead(502);
+    res.end(e.message);
+  });
+  return req.pipe(upstream);
+});
+
+server.on('connect', (req, socket, head) => {
+  if (!authorized(req)) {
+    socket.end('HTTP/1.1 407 Proxy Authentication Required\r\nProxy-Authenticate: Basic realm="dev-proxy"\r\n\r\n');
+    return;
+  }
+  const [host, port] = req.url.split(':');
+  console.log(`[dev-proxy] CONNECT ${req.url}`);
+  const upstream = net.connect(Number(port || 443), host, () => {
+    socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    if (head && head.length) upstream.write(head);
+    upstream.pipe(socket);
+    socket.pipe(upstream);
+  });
+  const close = () => {
+    upstream.destroy();
+    socket.destroy();
+  };
+  upstream.on('error', close);
+  socket.on('error', close);
+});
+
+server.listen(PORT, () => {
+  console.log(`[dev-proxy] listening on http://127.0.0.1:${PORT}${expected ? ' (basic auth)' : ''}`);
+});
+
+const stop = () => server.close(() => process.exit(0));
+process.on('SIGTERM', stop);
+process.on('SIGINT', stop);
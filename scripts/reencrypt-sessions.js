@@ -0,0 +1,63 @@
+// scripts/reencrypt-sessions.js (CommonJS)
+// Rotation / migration : ré-chiffre toutes les sessions sous la clé active.
+//  - valeurs en clair (anciennes lignes) → chiffrées
+//  - valeurs chiffrées avec une autre clé → déchiffrées puis re-chiffrées
+//  - idem pour storage_state (chiffré d'un bloc) et le mot de passe du proxy (profile.proxy.password)
+//
+// Usage : COOKIE_ENC_KEYS=... COOKIE_ENC_KEY_ID=k2 node scripts/reencrypt-sessions.js [--dry-run]
+// Garder l'ancienne clé dans COOKIE_ENC_KEYS tant que la rotation n'est pas terminée.
+require('dotenv').config();
+
+const { createSessionStore } = require('../lib/sessionStore');
+const { createCookieCipherFromEnv, keyIdOf } = require('../lib/cookieCrypto');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const cipher = createCookieCipherFromEnv(process.env);
+  if (!cipher.enabled) throw new Error('COOKIE_ENC_KEYS is empty: nothing to encrypt with');
+
+  const store = createSessionStore(process.env); // store brut, sans déchiffrement automatique
+  const rows = await store.list();
+  const summary = { total: rows.length, rewritten: 0, unchanged: 0, failed: 0 };
+
+  for (const row of rows) {
+    const label = `${row.platform}:${row.account}`;
+    const stateStale = cipher.jsonNeedsRewrite(row.storage_state);
+    const proxyPassword = row.profile?.proxy?.password;
+    const proxyStale = cipher.valueNeedsRewrite(proxyPassword);
+    if (!cipher.needsRewrite(row.cookies) && !stateStale && !proxyStale) {
+      summary.unchanged++;
+      continue;
+    }
+    try {
+      const values = [
+        ...(row.cookies || []).map((c) => c && c.value),
+        ...(stateStale ? [row.storage_state] : []),
+        ...(proxyStale ? [proxyPassword] : []),
+      ];
+      const from = Array.from(new Set(values.map((v) => keyIdOf(v) || 'plaintext')));
+      const patch = { cookies: cipher.encryptCookies(cipher.decryptCookies(row.cookies)) };
+      if (stateStale) patch.storage_state = cipher.encryptJson(cipher.decryptJson(row.storage_state));
+      if (proxyStale) {
+        patch.profile = {
+          ...row.profile,
+          proxy: { ...row.profile.proxy, password: cipher.encryptValue(cipher.decryptValue(proxyPassword)) },
+        };
+      }
+      if (!dryRun) await store.upsert({ platform: row.platform, account: row.account, ...patch });
+      summary.rewritten++;
+      console.log(`${dryRun ? '[dry-run] ' : ''}${label}: ${from.join('+')} → ${cipher.activeKeyId}`);
+    } catch (e) {
+      summary.failed++;
+      console.error(`${label}: ${e.message}`);
+    }
+  }
+
+  console.log(JSON.stringify({ dryRun, activeKeyId: cipher.activeKeyId, ...summary }));
+  if (summary.failed) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,16 @@
+-- sql/001_api_keys.sql
+-- Clés d'API lues par lib/auth.js (store.listApiKeys, rechargées toutes les 60 s).
+-- key_hash : sha256 hex de la clé ; la clé en clair n'est jamais stockée.
+-- scopes : ex. {run:read,run:write} ; {*} = tous les scopes.
+
+create table if not exists api_keys (
+  id          bigint generated always as identity primary key,
+  name        text not null unique,
+  key_hash    text not null unique check (key_hash ~ '^[0-9a-f]{64}$'),
+  scopes      text[] not null default '{}',
+  disabled    boolean not null default false,
+  created_at  timestamptz not null default now()
+);
+
+-- lue uniquement avec la service role key : aucun accès anon / authenticated
+alter table api_keys enable row level security;
@@ -0,0 +1,9 @@
+-- sql/002_session_health.sql
+-- Surveillance des sessions (lib/sessionHealth.js) : résultat de la dernière vérification.
+-- status : valid | expiring | invalid | unknown ; last_check : { ok, loggedIn, state, reason, error, url }
+
+alter table tiktok_sessions
+  add column if not exists status            text,
+  add column if not exists last_check        jsonb,
+  add column if not exists last_verified_at  timestamptz,
+  add column if not exists cookies_expire_at timestamptz;
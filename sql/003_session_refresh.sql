@@ -0,0 +1,21 @@
+-- sql/003_session_refresh.sql
+-- Réécriture de fin de run (persistSessionState) : date du dernier rafraîchissement, et
+-- updated_at tenu par trigger — une ligne réécrite pendant un run (set-cookies, login)
+-- n'est pas écrasée par le cookie jar périmé de ce run.
+
+alter table tiktok_sessions
+  add column if not exists last_refreshed_at timestamptz,
+  add column if not exists updated_at        timestamptz not null default now();
+
+create or replace function tiktok_sessions_touch() returns trigger
+language plpgsql as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists tiktok_sessions_touch on tiktok_sessions;
+create trigger tiktok_sessions_touch
+  before update on tiktok_sessions
+  for each row execute function tiktok_sessions_touch();
@@ -0,0 +1,6 @@
+-- sql/004_storage_state.sql
+-- storageState complet de l'account (lib/storageState.js) : { origins, sessionStorage }
+-- (localStorage / IndexedDB par origine, sessionStorage des pages capturées).
+
+alter table tiktok_sessions
+  add column if not exists storage_state jsonb;
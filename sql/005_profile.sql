@@ -0,0 +1,6 @@
+-- sql/005_profile.sql
+-- Profil d'empreinte de l'account (lib/fingerprint.js) : userAgent, viewport, locale,
+-- timezoneId, geolocation, …, et proxy { server, username, password, bypass } (lib/proxy.js).
+
+alter table tiktok_sessions
+  add column if not exists profile jsonb;